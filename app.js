@@ -8,13 +8,31 @@ let settings = {
     fontSize: 16,
     autoSaveInterval: 60000,
     lastProjectId: null,
+    activeChatThreads: {},
     lastDocumentId: null,
     favoriteModels: [],
     customSystemPrompt: null,
     customUserPrompt: null,
     lastUsedModel: 'anthropic/claude-3.5-sonnet',
     lastTemperature: 0.7,
-    lastTokenCount: 2048
+    lastTokenCount: 2048,
+    alternativesCount: 1,
+    autoSummarizeChapters: false,
+    trashRetentionDays: 30,
+    backupIntervalMinutes: 30,
+    backupKeepLast: 10,
+    backupDailyDays: 30,
+    monthlySpendCap: 0,
+    providers: [
+        {
+            id: 'openrouter',
+            name: 'OpenRouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            authStyle: 'bearer',
+            modelsEndpoint: '/models',
+            enabled: true
+        }
+    ]
 };
 
 let currentProjectId = null;
@@ -26,21 +44,45 @@ let quillEditor = null;
 let draggedElement = null;
 
 let apiKey = localStorage.getItem('openrouterApiKey');
+// API keys of the other providers, by provider id
+let providerKeys = {};
 
 // OpenRouter Models List - will be populated from API
 let OPENROUTER_MODELS = [];
 let modelsLoaded = false;
 
 let isStreaming = false;
-let streamingInterval = null;
 let generatedTextStartIndex = null;
 let generatedTextLength = 0;
-let chatHistory = [];
+let chatThreads = [];
+let usageLedger = [];
+let snapshots = [];
+let trash = [];
 
 // IndexedDB Setup
 const DB_NAME = 'AINovelWriterDB';
-const DB_VERSION = 3;
+const DB_VERSION = 5;
+// Up to version 3 everything was one encrypted blob under 'PymData' here;
+// now it only holds the passphrase key envelope
 const STORE_NAME = 'data';
+// One record per project, document, snapshot and chat thread. The settings
+// store holds the app-wide records: settings, usage ledger and trash.
+// Indexed fields are stored in the clear next to the encrypted record.
+const DATA_STORES = {
+    projects: { indexes: ['order'] },
+    documents: { indexes: ['projectId', 'order'] },
+    snapshots: { indexes: ['docId'] },
+    chat: { indexes: ['projectId'] },
+    settings: { indexes: [] }
+};
+// Automatic local backups: an encrypted summary of each, and its .pym file
+// in a separate store so listing them doesn't read every file
+const BACKUP_STORES = {
+    backups: { indexes: [] },
+    backupFiles: { indexes: [] }
+};
+// Used while no passphrase is set
+const DATA_ENCRYPTION_KEY = 'pym-secret-key-2025';
 let db;
 
 // 1. Import the Block Embed
@@ -63,6 +105,11 @@ function openDB() {
             if (!db.objectStoreNames.contains(STORE_NAME)) {
                 db.createObjectStore(STORE_NAME, { keyPath: 'id' });
             }
+            Object.entries({ ...DATA_STORES, ...BACKUP_STORES }).forEach(([name, { indexes }]) => {
+                if (db.objectStoreNames.contains(name)) return;
+                const store = db.createObjectStore(name, { keyPath: 'id' });
+                indexes.forEach(field => store.createIndex(field, field));
+            });
         };
 
         request.onsuccess = (e) => {
@@ -88,6 +135,16 @@ async function saveToDB(id, data) {
     });
 }
 
+async function deleteFromDB(id) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        tx.objectStore(STORE_NAME).delete(id);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
 async function loadFromDB(id) {
     if (!db) await openDB();
     return new Promise((resolve, reject) => {
@@ -98,15 +155,87 @@ async function loadFromDB(id) {
     });
 }
 
+// Every record of every data store, still encrypted
+async function readAllRecords() {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const names = Object.keys(DATA_STORES);
+        const tx = db.transaction(names, 'readonly');
+        const result = {};
+        names.forEach(name => {
+            const request = tx.objectStore(name).getAll();
+            request.onsuccess = () => result[name] = request.result;
+        });
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+async function readStoreRecords(name) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(name, 'readonly').objectStore(name).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (e) => reject(e);
+    });
+}
+
+async function readStoreRecord(name, id) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(name, 'readonly').objectStore(name).get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (e) => reject(e);
+    });
+}
+
+// Applies { storeName: { puts, deletes } } in one transaction, so a save
+// either lands whole or not at all. dropLegacy also removes the v3 blob.
+async function writeRecords(writes, dropLegacy = false) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const names = Object.keys(writes);
+        const tx = db.transaction(dropLegacy ? [...names, STORE_NAME] : names, 'readwrite');
+        names.forEach(name => {
+            const store = tx.objectStore(name);
+            writes[name].deletes.forEach(id => store.delete(id));
+            writes[name].puts.forEach(record => store.put(record));
+        });
+        if (dropLegacy) tx.objectStore(STORE_NAME).delete('PymData');
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+        tx.onabort = (e) => reject(e);
+    });
+}
+
+async function clearAllStores() {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const names = [...Object.keys(DATA_STORES), ...Object.keys(BACKUP_STORES), STORE_NAME];
+        const tx = db.transaction(names, 'readwrite');
+        names.forEach(name => tx.objectStore(name).clear());
+        tx.oncomplete = () => {
+            Object.values(savedRecords).forEach(map => map.clear());
+            resolve();
+        };
+        tx.onerror = (e) => reject(e);
+    });
+}
+
 /* ========== INITIALIZATION ========== */
 
 window.onload = async function() {
     try {
         await openDB();
+        await unlockIfNeeded();
         await loadData();
+        purgeExpiredTrash();
+        await loadLocalBackups();
+        startTabSync();
     } catch (e) {
         showToast('Failed to open database.');
     }
+    await loadApiKeys();
 
     // Ensure localStorage is synced with the loaded database settings
     if (settings.theme) {
@@ -166,6 +295,7 @@ window.onload = async function() {
         resetAutoSaveTimer();
         // Re-check button visibility after typing
         setTimeout(updateFloatingContinueButton, 100);
+        scheduleCostEstimateUpdate();
     });
 
     // Tab key = Continue from cursor (best pro workflow)
@@ -191,11 +321,43 @@ window.onload = async function() {
 
     addToolbarTooltips();
 
+    // Ctrl+Shift+F opens search, Ctrl+Shift+H find and replace
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || !e.shiftKey) return;
+        if (e.key.toLowerCase() === 'f') {
+            e.preventDefault();
+            openSearchModal();
+        } else if (e.key.toLowerCase() === 'h') {
+            e.preventDefault();
+            openReplaceModal();
+        }
+    });
+
+    // Escape cancels whatever AI request is running
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isAiRequestActive()) {
+            e.preventDefault();
+            stopGeneration();
+        }
+    });
+
+    // Alt+Left / Alt+Right cycle through alternative continuations. Captured
+    // before Quill so the cursor doesn't jump a word as well.
+    document.addEventListener('keydown', (e) => {
+        if (!e.altKey || generatedTextStartIndex === null || generationCandidates.length < 2) return;
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            e.preventDefault();
+            e.stopPropagation();
+            cycleCandidate(e.key === 'ArrowLeft' ? -1 : 1);
+        }
+    }, true);
+
     // Hide floating button when clicking elsewhere
     document.addEventListener('click', (e) => {
         // FIX: Added check for #floatingGoBtn so it doesn't close itself when clicked
         if (!e.target.closest('#floatingContinueBtn') && 
             !e.target.closest('#floatingGoBtn') && 
+            !e.target.closest('#floatingBridgeBtn') && 
             !e.target.closest('.ql-editor')) {
             hideFloatingContinueButton();
         }
@@ -224,6 +386,7 @@ window.onload = async function() {
     document.getElementById('temperature').value = settings.lastTemperature;
     document.getElementById('temperatureValue').textContent = settings.lastTemperature;
     document.getElementById('tokensToGenerate').value = settings.lastTokenCount;
+    document.getElementById('alternativesCount').value = settings.alternativesCount;
 
     // Menu toggle
     document.getElementById('hamburger').addEventListener('click', toggleMenu);
@@ -242,6 +405,7 @@ window.onload = async function() {
     document.getElementById('tokensToGenerate').addEventListener('change', (e) => {
         settings.lastTokenCount = parseInt(e.target.value);
         autoSave();
+        updateCostEstimate();
     });
 
     // Model select change
@@ -249,6 +413,7 @@ window.onload = async function() {
         settings.lastUsedModel = e.target.value;
         autoSave();
         updateFavoriteButton();
+        updateCostEstimate();
     });
 
     // Apply settings
@@ -283,6 +448,8 @@ window.onload = async function() {
             }
         });
     }
+
+    setInterval(runBackgroundTasks, BACKUP_CHECK_INTERVAL_MS);
 };
 
 /* ========== API KEY MANAGEMENT ========== */
@@ -298,7 +465,7 @@ function setApiKey() {
     }
     
     apiKey = key;
-    localStorage.setItem('openrouterApiKey', apiKey);
+    persistApiKeys();
     document.getElementById('apiKeyModal').style.display = 'none';
     showToast('API key saved successfully!');
 }
@@ -315,642 +482,2380 @@ function updateApiKey() {
         return;
     }
     apiKey = key;
-    localStorage.setItem('openrouterApiKey', apiKey);
+    persistApiKeys();
     document.getElementById('settingsApiKey').value = '';
     showToast('API key updated!');
 }
 
 /* ========== DATA PERSISTENCE ========== */
 
-async function autoSave() {
-    const data = {
+// JSON of every record as last written, per store, so a save only writes
+// the records that changed and deletes the ones that are gone
+let savedRecords = Object.fromEntries(Object.keys(DATA_STORES).map(name => [name, new Map()]));
+// Set when the migration couldn't write; the next save finishes it
+let legacyBlobPending = false;
+
+// The in-memory state as records for each store
+function getStoreRecords() {
+    return {
         projects,
         documents,
-        settings,
-        chatHistory,
-        version: '3.0',
-        timestamp: new Date().toISOString()
+        snapshots,
+        chat: chatThreads,
+        settings: [
+            { id: 'settings', value: settings },
+            { id: 'usageLedger', value: usageLedger },
+            { id: 'trash', value: trash }
+        ]
     };
-    const encrypted = CryptoJS.AES.encrypt(JSON.stringify(data), 'pym-secret-key-2025').toString();
+}
+
+// Passphrase-encrypted records carry their AES-GCM iv
+async function encodeRecord(storeName, item, json) {
+    const record = dataKey
+        ? { id: item.id, ...(await encryptText(json)) }
+        : { id: item.id, data: CryptoJS.AES.encrypt(json, DATA_ENCRYPTION_KEY).toString() };
+    (DATA_STORES[storeName] || BACKUP_STORES[storeName]).indexes.forEach(field => {
+        if (item[field] !== undefined && item[field] !== null) record[field] = item[field];
+    });
+    return record;
+}
+
+async function decodeRecord(record, key = dataKey) {
+    const json = record.iv
+        ? await decryptText(record, key)
+        : CryptoJS.AES.decrypt(record.data, DATA_ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
+    return JSON.parse(json);
+}
+
+async function autoSave() {
+    // Records written now would be unreadable under the other tab's key
+    if (keysChangedElsewhere) return;
+
+    const writes = {};
+
+    Object.entries(getStoreRecords()).forEach(([name, items]) => {
+        const previous = savedRecords[name];
+        const next = new Map();
+        const changed = [];
+
+        items.forEach(item => {
+            const json = JSON.stringify(item);
+            next.set(item.id, json);
+            if (previous.get(item.id) !== json) changed.push({ item, json, previous: previous.get(item.id) });
+        });
+        const deletes = [...previous.keys()].filter(id => !next.has(id));
+
+        // Recorded before any await, so overlapping saves don't write twice
+        savedRecords[name] = next;
+        if (changed.length > 0 || deletes.length > 0) writes[name] = { changed, puts: [], deletes };
+    });
+
+    if (Object.keys(writes).length === 0 && !legacyBlobPending) return;
+
     try {
-        await saveToDB('PymData', encrypted);
+        for (const [name, write] of Object.entries(writes)) {
+            write.puts = await Promise.all(write.changed.map(({ item, json }) => encodeRecord(name, item, json)));
+        }
+        const dropLegacy = legacyBlobPending;
+        await writeRecords(writes, dropLegacy);
+        if (dropLegacy) legacyBlobPending = false;
+        broadcastSave(writes);
     } catch (e) {
+        // Nothing was written, so the next save tries these records again.
+        // null (not a missing entry) keeps the id known, so a record removed
+        // before that save is still deleted from the database.
+        Object.entries(writes).forEach(([name, { changed, deletes }]) => {
+            changed.forEach(({ item }) => savedRecords[name].set(item.id, null));
+            deletes.forEach(id => {
+                if (!savedRecords[name].has(id)) savedRecords[name].set(id, null);
+            });
+        });
         showToast('Auto-save failed.');
     }
 }
 
 async function loadData() {
-    let encrypted = null;
+    let legacy = null;
     try {
-        encrypted = await loadFromDB('PymData');
+        legacy = await loadFromDB('PymData');
     } catch (e) {
         console.error('Load failed:', e);
     }
 
-    let savedData = null;
-    if (encrypted) {
-        try {
-            const decrypted = CryptoJS.AES.decrypt(encrypted, 'pym-secret-key-2025').toString(CryptoJS.enc.Utf8);
-            savedData = JSON.parse(decrypted);
-        } catch (e) {
-            showToast('Could not load saved data');
-        }
+    if (legacy) {
+        await migrateLegacyData(legacy);
+        return;
     }
 
-    projects = savedData?.projects || [];
-    documents = savedData?.documents || [];
-    settings = { ...settings, ...(savedData?.settings || {}) };
-    chatHistory = savedData?.chatHistory || [];
-}
+    let records;
+    try {
+        records = await readAllRecords();
+    } catch (e) {
+        console.error('Load failed:', e);
+        showToast('Could not load saved data');
+        return;
+    }
 
-/* ========== BACKUP & RESTORE ========== */
+    // A damaged record costs only itself; it stays in the database untouched
+    let unreadable = 0;
+    const loaded = {};
+    for (const [name, list] of Object.entries(records)) {
+        loaded[name] = [];
+        for (const record of list) {
+            try {
+                const item = await decodeRecord(record);
+                loaded[name].push(item);
+                savedRecords[name].set(item.id, JSON.stringify(item));
+            } catch (e) {
+                console.error(`Unreadable ${name} record ${record.id}:`, e);
+                unreadable++;
+            }
+        }
+    }
 
-async function createBackup() {
-    try {
-        const data = {
-            projects,
-            documents,
-            settings,
-            chatHistory,
-            version: '3.0',
-            timestamp: new Date().toISOString()
-        };
+    const appRecord = (id) => loaded.settings.find(record => record.id === id)?.value;
 
-        const json = JSON.stringify(data, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        
-        const date = new Date().toISOString().slice(0, 10);
-        a.download = `PymWrite_Backup_${date}.pym`;
-        
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    projects = loaded.projects;
+    documents = loaded.documents;
+    settings = { ...settings, ...(appRecord('settings') || {}) };
+    chatThreads = loaded.chat;
+    usageLedger = appRecord('usageLedger') || [];
+    snapshots = loaded.snapshots;
+    trash = appRecord('trash') || [];
 
-        showToast('Backup created successfully!');
-    } catch (err) {
-        console.error('Backup failed:', err);
-        showToast('Backup failed. Check console.');
+    if (unreadable > 0) {
+        showToast(`${unreadable} saved record(s) could not be read and were skipped`, 6000);
     }
 }
 
-async function restoreFromBackup(file) {
-    if (!file) return;
+// Moves data from the version 3 blob into the per-record stores. The blob
+// is removed in the same transaction, so an interrupted migration simply
+// runs again on the next load.
+async function migrateLegacyData(encrypted) {
+    let savedData;
+    try {
+        const decrypted = CryptoJS.AES.decrypt(encrypted, DATA_ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
+        savedData = JSON.parse(decrypted);
+    } catch (e) {
+        showToast('Could not load saved data');
+        return;
+    }
 
-    const reader = new FileReader();
-    reader.onload = async function(e) {
-        try {
-            const data = JSON.parse(e.target.result);
+    projects = savedData.projects || [];
+    documents = savedData.documents || [];
+    settings = { ...settings, ...(savedData.settings || {}) };
+    chatThreads = savedData.chatThreads || migrateChatHistory(savedData.chatHistory, settings.lastProjectId);
+    usageLedger = savedData.usageLedger || [];
+    snapshots = savedData.snapshots || [];
+    trash = savedData.trash || [];
 
-            projects = data.projects || [];
-            documents = data.documents || [];
-            settings = { ...settings, ...(data.settings || {}) };
-            chatHistory = data.chatHistory || [];
+    try {
+        const writes = {};
+        for (const [name, items] of Object.entries(getStoreRecords())) {
+            writes[name] = {
+                puts: await Promise.all(items.map(item => {
+                    const json = JSON.stringify(item);
+                    savedRecords[name].set(item.id, json);
+                    return encodeRecord(name, item, json);
+                })),
+                deletes: []
+            };
+        }
+        await writeRecords(writes, true);
+    } catch (e) {
+        console.error('Migration failed:', e);
+        Object.values(savedRecords).forEach(map => map.clear());
+        legacyBlobPending = true;
+        showToast('Could not upgrade saved data. It will be retried on the next save.', 6000);
+    }
+}
 
-            // Sync imported theme to localStorage
-            if (settings.theme) {
-                localStorage.setItem('pymTheme', settings.theme);
-            }
+/* ========== ENCRYPTION ========== */
+
+// With a passphrase set, records and API keys are encrypted with AES-GCM
+// under a random data key. The data key is stored wrapped twice: with a key
+// derived from the passphrase and with one derived from a recovery code, so
+// either can unlock it. Without a passphrase, records use the built-in key.
+const KEY_ENVELOPE_ID = 'PymKeys';
+const API_KEYS_STORAGE = 'pymEncryptedKeys';
+const PBKDF2_ITERATIONS = 600000;
+const MIN_PASSPHRASE_LENGTH = 8;
+// Crockford base32: no I, L, O or U to misread
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+let dataKey = null;
+let keyEnvelope = null;
+let unlockResolver = null;
+let passphraseModalMode = null;
+
+function bytesToBase64(bytes) {
+    const array = new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < array.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, array.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
 
-            await autoSave();
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
 
-            updateProjectsList();
-            updateProjectDropdown();
-            updateDocumentsList();
-            loadChatHistory();
-            
-            document.getElementById('themeSelect').value = settings.theme || 'default';
-            applyTheme(settings.theme || 'default');
+async function deriveWrappingKey(secret, salt, iterations, usages = ['wrapKey', 'unwrapKey']) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        usages
+    );
+}
 
-            showToast('Restore complete!');
-            closeMenu();
-        } catch (err) {
-            console.error('Restore failed:', err);
-            showToast('Restore failed. Invalid file.');
-        }
-    };
+async function wrapDataKey(key, secret) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await deriveWrappingKey(secret, salt, PBKDF2_ITERATIONS);
+    const wrapped = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv });
+    return { salt: bytesToBase64(salt), iv: bytesToBase64(iv), key: bytesToBase64(wrapped), iterations: PBKDF2_ITERATIONS };
+}
 
-    reader.readAsText(file);
+// Rejects when the secret is wrong, since AES-GCM checks what it unwraps
+async function unwrapDataKey(wrapped, secret) {
+    const wrappingKey = await deriveWrappingKey(secret, base64ToBytes(wrapped.salt), wrapped.iterations);
+    return crypto.subtle.unwrapKey(
+        'raw',
+        base64ToBytes(wrapped.key),
+        wrappingKey,
+        { name: 'AES-GCM', iv: base64ToBytes(wrapped.iv) },
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
 }
 
-/* ========== PROJECT MANAGEMENT ========== */
+async function encryptText(text, key = dataKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
 
-function openNewProjectModal() {
-    document.getElementById('newProjectModal').style.display = 'flex';
-    document.getElementById('newProjectTitle').focus();
+async function decryptText({ iv, data }, key = dataKey) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+    return new TextDecoder().decode(plain);
 }
 
-function closeNewProjectModal() {
-    document.getElementById('newProjectModal').style.display = 'none';
-    document.getElementById('newProjectForm').reset();
+// 160 random bits as eight groups of four characters
+function generateRecoveryCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return [...bytes].map(b => RECOVERY_CODE_ALPHABET[b % 32]).join('').match(/.{4}/g).join('-');
 }
 
-function createProject(event) {
-    event.preventDefault();
+function normalizeRecoveryCode(code) {
+    return code.toUpperCase().replace(/O/g, '0').replace(/[IL]/g, '1').replace(/[^0-9A-Z]/g, '');
+}
 
-    const project = {
-        id: Date.now(),
-        title: document.getElementById('newProjectTitle').value.trim(),
-        genre: document.getElementById('newProjectGenre').value,
-        description: document.getElementById('newProjectDescription').value.trim(),
-        targetWordCount: parseInt(document.getElementById('newProjectWordCount').value) || 0,
-        currentWordCount: 0,
-        created: new Date().toISOString(),
-        updated: new Date().toISOString()
-    };
+// API keys live in localStorage: in the clear without a passphrase,
+// otherwise as one encrypted item
+async function loadApiKeys() {
+    if (!dataKey) {
+        apiKey = localStorage.getItem('openrouterApiKey');
+        providerKeys = JSON.parse(localStorage.getItem('pymProviderKeys') || '{}');
+        return;
+    }
 
-    projects.push(project);
-    autoSave();
-    updateProjectsList();
-    updateProjectDropdown();
-    closeNewProjectModal();
-    showToast(`Project "${project.title}" created!`);
+    try {
+        const stored = localStorage.getItem(API_KEYS_STORAGE);
+        const keys = stored ? JSON.parse(await decryptText(JSON.parse(stored))) : {};
+        apiKey = keys.openrouter || null;
+        delete keys.openrouter;
+        providerKeys = keys;
+    } catch (e) {
+        console.error('Could not decrypt API keys:', e);
+        showToast('Could not read your saved API keys. Please enter them again.', 5000);
+    }
 }
 
-function deleteProject(id) {
-    const project = projects.find(p => p.id === id);
-    if (!project) return;
-
-    if (!confirm(`Delete project "${project.title}" and all its documents?`)) return;
+async function persistApiKeys() {
+    if (dataKey) {
+        const encrypted = await encryptText(JSON.stringify({ ...providerKeys, openrouter: apiKey }));
+        localStorage.setItem(API_KEYS_STORAGE, JSON.stringify(encrypted));
+        localStorage.removeItem('openrouterApiKey');
+        localStorage.removeItem('pymProviderKeys');
+        return;
+    }
 
-    projects = projects.filter(p => p.id !== id);
-    documents = documents.filter(d => d.projectId !== id);
+    if (apiKey) {
+        localStorage.setItem('openrouterApiKey', apiKey);
+    } else {
+        localStorage.removeItem('openrouterApiKey');
+    }
+    localStorage.setItem('pymProviderKeys', JSON.stringify(providerKeys));
+    localStorage.removeItem(API_KEYS_STORAGE);
+}
 
-    if (currentProjectId === id) {
-        currentProjectId = null;
-        currentDocumentId = null;
-        document.getElementById('editor').value = '';
-        document.getElementById('documentInfo').style.display = 'none';
+// Writes every record in memory again with the current key, deleting the
+// ones still waiting to be deleted. Unlike autoSave it throws on failure,
+// and savedRecords is only updated once the write has landed.
+async function rewriteAllRecords() {
+    const writes = {};
+    const written = {};
+    for (const [name, items] of Object.entries(getStoreRecords())) {
+        written[name] = new Map();
+        const puts = [];
+        for (const item of items) {
+            const json = JSON.stringify(item);
+            written[name].set(item.id, json);
+            puts.push(await encodeRecord(name, item, json));
+        }
+        const deletes = [...savedRecords[name].keys()].filter(id => !written[name].has(id));
+        writes[name] = { puts, deletes };
     }
 
-    autoSave();
-    updateProjectsList();
-    updateProjectDropdown();
-    updateDocumentsList();
-    showToast('Project deleted');
+    await writeRecords(writes);
+    savedRecords = written;
 }
 
-// app.js
+// Rewrites every record and the API keys with the current key
+// previousKey still opens the local backups, which aren't in memory
+async function reencryptAllData(previousKey = dataKey) {
+    await rewriteAllRecords();
+    await persistApiKeys();
+    await reencryptLocalBackups(previousKey);
+}
 
-function switchProject() {
-    const projectId = parseInt(document.getElementById('projectSelect').value);
-    
-    // 1. Clear the Editor correctly (Quill method)
-    if (quillEditor) {
-        quillEditor.setText(''); // This actually clears the text
+// How many records in the database, backups included, are still encrypted
+// with a passphrase key
+async function countPassphraseRecords() {
+    let count = 0;
+    for (const name of [...Object.keys(DATA_STORES), ...Object.keys(BACKUP_STORES)]) {
+        count += (await readStoreRecords(name)).filter(record => record.iv).length;
     }
+    return count;
+}
 
-    // 2. Hide the Document Info Header
-    const docInfo = document.getElementById('documentInfo');
-    if (docInfo) {
-        docInfo.style.display = 'none';
-    }
+// Holds startup until the data key is unlocked, when a passphrase is set
+async function unlockIfNeeded() {
+    keyEnvelope = await loadFromDB(KEY_ENVELOPE_ID);
+    if (!keyEnvelope) return;
 
-    // 3. Reset Current Document State
-    currentDocumentId = null;
-    settings.lastDocumentId = null; // Also clear the saved preference
+    document.getElementById('unlockModal').style.display = 'flex';
+    document.getElementById('unlockPassphrase').focus();
+    await new Promise(resolve => unlockResolver = resolve);
+}
 
-    // 4. Handle "No Project Selected" or "New Project" logic
-    if (!projectId) {
-        currentProjectId = null;
-        settings.lastProjectId = null;
-    } else {
-        currentProjectId = projectId;
-        settings.lastProjectId = projectId;
+function finishUnlock() {
+    document.getElementById('unlockModal').style.display = 'none';
+    document.querySelectorAll('#unlockModal input').forEach(input => input.value = '');
+    unlockResolver();
+    unlockResolver = null;
+}
+
+function setUnlockMessage(message) {
+    document.getElementById('unlockError').textContent = message;
+}
+
+async function submitUnlock() {
+    const passphrase = document.getElementById('unlockPassphrase').value;
+    if (!passphrase) return;
+
+    setUnlockMessage('Unlocking…');
+    try {
+        dataKey = await unwrapDataKey(keyEnvelope.passphrase, passphrase);
+    } catch (e) {
+        setUnlockMessage('Wrong passphrase. Try again.');
+        document.getElementById('unlockPassphrase').select();
+        return;
     }
 
-    // 5. Refresh Data & UI
-    autoSave();
-    updateDocumentsList();
+    setUnlockMessage('');
+    finishUnlock();
 }
 
-function updateProjectDropdown() {
-    const select = document.getElementById('projectSelect');
-    select.innerHTML = '<option value="">No Project Selected</option>';
-    
-    projects.forEach(project => {
-        const option = document.createElement('option');
-        option.value = project.id;
-        option.textContent = project.title;
-        if (project.id === currentProjectId) {
-            option.selected = true;
-        }
-        select.appendChild(option);
-    });
+function toggleRecoveryForm() {
+    const form = document.getElementById('unlockRecoveryForm');
+    form.style.display = form.style.display === 'none' ? 'block' : 'none';
+    setUnlockMessage('');
 }
 
-function updateProjectsList() {
-    const container = document.getElementById('projectsList');
-    
-    if (projects.length === 0) {
-        container.innerHTML = '<p style="text-align:center; color:#999; padding:40px;">No projects yet. Create one to get started!</p>';
+// Returns an error message, or null when the new passphrase is usable
+function checkNewPassphrase(passphrase, confirmation) {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) return `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+    if (passphrase !== confirmation) return 'The passphrases don\'t match.';
+    return null;
+}
+
+async function recoverWithCode() {
+    const code = normalizeRecoveryCode(document.getElementById('recoveryCodeInput').value);
+    const passphrase = document.getElementById('recoveryNewPassphrase').value;
+    const problem = checkNewPassphrase(passphrase, document.getElementById('recoveryConfirmPassphrase').value);
+    if (problem) {
+        setUnlockMessage(problem);
         return;
     }
 
-    // Ensure all projects have an order
-    projects.forEach((project, index) => {
-        if (project.order === undefined) {
-            project.order = index;
-        }
-    });
+    setUnlockMessage('Checking recovery code…');
+    try {
+        dataKey = await unwrapDataKey(keyEnvelope.recovery, code);
+    } catch (e) {
+        setUnlockMessage('That recovery code doesn\'t match.');
+        return;
+    }
 
-    // Sort by order
-    const sortedProjects = [...projects].sort((a, b) => (a.order || 0) - (b.order || 0));
+    keyEnvelope = { ...keyEnvelope, passphrase: await wrapDataKey(dataKey, passphrase) };
+    await saveToDB(KEY_ENVELOPE_ID, keyEnvelope);
 
-    container.innerHTML = sortedProjects.map(project => {
-        const projectDocs = documents.filter(d => d.projectId === project.id);
-        const totalWords = projectDocs.reduce((sum, doc) => sum + (doc.wordCount || 0), 0);
-        project.currentWordCount = totalWords;
+    setUnlockMessage('');
+    finishUnlock();
+    showToast('New passphrase set. Your recovery code still works.', 5000);
+}
 
-        return `
-            <div class="project-card" 
-                 draggable="true" 
-                 data-project-id="${project.id}"
-                 ondragstart="handleProjectDragStart(event)"
-                 ondragover="handleProjectDragOver(event)"
-                 ondrop="handleProjectDrop(event)"
-                 ondragend="handleProjectDragEnd(event)">
-                <div class="project-header">
-                    <div style="display: flex; align-items: center; gap: 12px;">
-                        <div class="drag-handle" title="Drag to reorder">⋮⋮</div>
-                        <div>
-                            <h3>${project.title}</h3>
-                            <span class="genre-badge">${project.genre}</span>
-                        </div>
-                    </div>
-                    <div class="project-actions">
-                        <button class="icon-btn" onclick="openEditProjectModal(${project.id})" title="Edit Project">✏️</button>
-                        <button class="icon-btn" onclick="copyProject(${project.id})" title="Copy Project">📋</button>
-                        <button class="icon-btn" onclick="viewProjectDocuments(${project.id})" title="View Documents">📄</button>
-                        <button class="icon-btn delete-icon" onclick="deleteProject(${project.id})" title="Delete">🗑️</button>
-                    </div>
-                </div>
-                ${project.description ? `<p class="project-description">${project.description}</p>` : ''}
-                <div class="project-stats">
-                    <div class="stat">
-                        <span class="stat-label">Documents:</span>
-                        <span class="stat-value">${projectDocs.length}</span>
-                    </div>
-                    <div class="stat">
-                        <span class="stat-label">Words:</span>
-                        <span class="stat-value">${totalWords.toLocaleString()}</span>
-                    </div>
-                    ${project.targetWordCount > 0 ? `
-                        <div class="stat">
-                            <span class="stat-label">Progress:</span>
-                            <span class="stat-value">${Math.round((totalWords / project.targetWordCount) * 100)}%</span>
-                        </div>
-                    ` : ''}
-                </div>
-            </div>
-        `;
-    }).join('');
-}
+// Last resort without passphrase or recovery code: the data can't be read,
+// so it is removed and the app starts empty
+async function eraseLockedData() {
+    if (!confirm('Erase all projects, documents, chats and settings stored in this browser? Without your passphrase or recovery code they cannot be decrypted.')) return;
+    if (prompt('Type ERASE to confirm:') !== 'ERASE') return;
 
-function viewProjectDocuments(projectId) {
-    // 1. Set the new project
-    currentProjectId = projectId;
-    document.getElementById('projectSelect').value = projectId;
-    
-    // 2. CLEAR PREVIOUS DOCUMENT STATE (The Fix)
-    currentDocumentId = null;
-    settings.lastDocumentId = null;
-    
-    // 3. Hide the Document Header
-    const docInfo = document.getElementById('documentInfo');
-    if (docInfo) {
-        docInfo.style.display = 'none';
-    }
+    await clearAllStores();
+    localStorage.removeItem(API_KEYS_STORAGE);
+    keyEnvelope = null;
+    dataKey = null;
 
-    // 4. Clear the Editor Content
-    if (quillEditor) {
-        quillEditor.setText('');
-    }
-    
-    // 5. Switch to Write Tab
-    document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-    document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
-    document.querySelector('.tab-btn:first-child').classList.add('active');
-    document.getElementById('write-tab').classList.add('active');
-    
-    // 6. Refresh Lists
-    updateDocumentsList();
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+    finishUnlock();
+    showToast('All data erased');
 }
 
-/* ========== DOCUMENT MANAGEMENT ========== */
+function updatePassphraseControls() {
+    const enabled = !!keyEnvelope;
+    document.getElementById('passphraseStatus').textContent = enabled
+        ? `🔒 On since ${new Date(keyEnvelope.created).toLocaleDateString()}. Your writing and API keys are encrypted with your passphrase.`
+        : '🔓 Off. Data is stored with a built-in key that anyone with access to this browser can undo.';
+    document.getElementById('passphraseOffControls').style.display = enabled ? 'none' : 'flex';
+    document.getElementById('passphraseOnControls').style.display = enabled ? 'flex' : 'none';
+}
 
-function openNewDocumentModal() {
-    if (!currentProjectId) {
-        showToast('Please select a project first');
-        return;
-    }
-    document.getElementById('documentModalTitle').textContent = 'Create New Document';
-    document.getElementById('newDocumentModal').style.display = 'flex';
-    document.getElementById('newDocumentTitle').focus();
+const PASSPHRASE_MODES = {
+    enable: { title: '🔒 Set a Passphrase', button: 'Encrypt My Data', current: false, next: true },
+    change: { title: '🔑 Change Passphrase', button: 'Change Passphrase', current: true, next: true },
+    recovery: { title: '🧾 New Recovery Code', button: 'Create New Code', current: true, next: false },
+    disable: { title: '🔓 Remove Passphrase', button: 'Remove Passphrase', current: true, next: false }
+};
+
+function openPassphraseModal(mode) {
+    const config = PASSPHRASE_MODES[mode];
+    passphraseModalMode = mode;
+
+    document.getElementById('passphraseModalTitle').textContent = config.title;
+    document.getElementById('passphraseSubmitBtn').textContent = config.button;
+    document.getElementById('currentPassphraseRow').style.display = config.current ? 'block' : 'none';
+    document.getElementById('newPassphraseRows').style.display = config.next ? 'block' : 'none';
+    document.getElementById('passphraseDisableWarning').style.display = mode === 'disable' ? 'block' : 'none';
+    document.getElementById('passphraseError').textContent = '';
+    document.querySelectorAll('#passphraseModal input').forEach(input => input.value = '');
+
+    document.getElementById('passphraseModal').style.display = 'flex';
+    document.querySelector(config.current ? '#currentPassphrase' : '#newPassphrase').focus();
 }
 
-function closeNewDocumentModal() {
-    document.getElementById('newDocumentModal').style.display = 'none';
-    document.getElementById('newDocumentForm').reset();
+function closePassphraseModal() {
+    document.getElementById('passphraseModal').style.display = 'none';
+    passphraseModalMode = null;
 }
 
-function createDocument(event) {
-    event.preventDefault();
+async function submitPassphraseModal() {
+    const config = PASSPHRASE_MODES[passphraseModalMode];
+    const error = document.getElementById('passphraseError');
+    const passphrase = document.getElementById('newPassphrase').value;
 
-    if (!currentProjectId) {
-        showToast('Please select a project first');
-        return;
+    if (config.next) {
+        const problem = checkNewPassphrase(passphrase, document.getElementById('confirmPassphrase').value);
+        if (problem) {
+            error.textContent = problem;
+            return;
+        }
     }
 
-    const projectDocs = documents.filter(d => d.projectId === currentProjectId);
-    const maxOrder = projectDocs.length > 0 ? Math.max(...projectDocs.map(d => d.order || 0)) : -1;
+    if (config.current) {
+        try {
+            await unwrapDataKey(keyEnvelope.passphrase, document.getElementById('currentPassphrase').value);
+        } catch (e) {
+            error.textContent = 'Your current passphrase is wrong.';
+            return;
+        }
+    }
 
-    const doc = {
-        id: Date.now(),
-        projectId: currentProjectId,
-        title: document.getElementById('newDocumentTitle').value.trim(),
-        type: document.getElementById('newDocumentType').value,
-        content: '',
-        wordCount: 0,
-        enabled: true,
-        order: maxOrder + 1,
-        created: new Date().toISOString(),
-        updated: new Date().toISOString()
-    };
+    error.textContent = 'Working…';
+    const mode = passphraseModalMode;
+    try {
+        if (mode === 'enable') {
+            const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+            const recoveryCode = generateRecoveryCode();
+            const envelope = {
+                passphrase: await wrapDataKey(key, passphrase),
+                recovery: await wrapDataKey(key, normalizeRecoveryCode(recoveryCode)),
+                created: new Date().toISOString()
+            };
+            // The envelope goes first: records still in the old format stay
+            // readable, so an interrupted re-encryption loses nothing
+            await saveToDB(KEY_ENVELOPE_ID, envelope);
+            keyEnvelope = envelope;
+            dataKey = key;
+            await reencryptAllData();
+            postSyncMessage({ type: 'keys', dataKeyChanged: true });
+            showRecoveryCode(recoveryCode);
+        } else if (mode === 'change') {
+            const envelope = { ...keyEnvelope, passphrase: await wrapDataKey(dataKey, passphrase) };
+            await saveToDB(KEY_ENVELOPE_ID, envelope);
+            keyEnvelope = envelope;
+            postSyncMessage({ type: 'keys', dataKeyChanged: false });
+            showToast('Passphrase changed! 🔑');
+        } else if (mode === 'recovery') {
+            const recoveryCode = generateRecoveryCode();
+            const envelope = { ...keyEnvelope, recovery: await wrapDataKey(dataKey, normalizeRecoveryCode(recoveryCode)) };
+            await saveToDB(KEY_ENVELOPE_ID, envelope);
+            keyEnvelope = envelope;
+            postSyncMessage({ type: 'keys', dataKeyChanged: false });
+            showRecoveryCode(recoveryCode);
+        } else if (mode === 'disable') {
+            const previousKey = dataKey;
+            dataKey = null;
+            try {
+                await reencryptAllData(previousKey);
+                // The envelope is the only way to read anything left behind
+                const remaining = await countPassphraseRecords();
+                if (remaining > 0) throw new Error(`${remaining} record(s) are still encrypted with the passphrase`);
+            } catch (e) {
+                // The envelope is still there, so put the passphrase back on
+                // whatever was already rewritten without it
+                dataKey = previousKey;
+                await reencryptAllData(previousKey).catch(err => console.error('Could not re-encrypt:', err));
+                throw e;
+            }
+            await deleteFromDB(KEY_ENVELOPE_ID);
+            keyEnvelope = null;
+            postSyncMessage({ type: 'keys', dataKeyChanged: true });
+            showToast('Passphrase removed');
+        }
+    } catch (e) {
+        console.error('Passphrase change failed:', e);
+        error.textContent = 'Something went wrong. Your data was not changed.';
+        return;
+    }
 
-    documents.push(doc);
-    autoSave();
-    updateDocumentsList();
-    updateProjectsList();
-    closeNewDocumentModal();
-    showToast(`Document "${doc.title}" created!`);
+    closePassphraseModal();
+    updatePassphraseControls();
 }
 
-function deleteDocument(id) {
-    const doc = documents.find(d => d.id === id);
-    if (!doc) return;
+function showRecoveryCode(code) {
+    document.getElementById('recoveryCodeText').textContent = code;
+    document.getElementById('recoveryCodeSaved').checked = false;
+    document.getElementById('recoveryCodeDoneBtn').disabled = true;
+    document.getElementById('recoveryCodeModal').style.display = 'flex';
+}
 
-    if (!confirm(`Delete document "${doc.title}"?`)) return;
+function copyRecoveryCode() {
+    navigator.clipboard.writeText(document.getElementById('recoveryCodeText').textContent).then(() => {
+        showToast('Recovery code copied! 📋');
+    });
+}
 
-    documents = documents.filter(d => d.id !== id);
+function closeRecoveryCodeModal() {
+    document.getElementById('recoveryCodeText').textContent = '';
+    document.getElementById('recoveryCodeModal').style.display = 'none';
+}
 
-    if (currentDocumentId === id) {
-        currentDocumentId = null;
-        document.getElementById('editor').value = '';
-        document.getElementById('documentInfo').style.display = 'none';
-    }
+/* ========== BACKUP & RESTORE ========== */
 
-    autoSave();
-    updateDocumentsList();
-    updateProjectsList();
-    showToast('Document deleted');
+// A .pym file is { format, schemaVersion, created, counts, checksum } plus
+// either the payload itself or, with a password, its AES-GCM ciphertext.
+// The checksum is the SHA-256 of the payload JSON and the counts say how
+// many records each list held, so damage and truncation are caught.
+// Files from before schema versions are plain payloads with version '3.0'.
+// kind is 'full' for a whole backup or 'project' for one exported project.
+const BACKUP_FORMAT = 'pym-backup';
+const BACKUP_SCHEMA_VERSION = 1;
+const BACKUP_LISTS = ['projects', 'documents', 'chatThreads', 'usageLedger', 'snapshots', 'trash'];
+const MAX_REPORTED_PROBLEMS = 20;
+
+let backupPasswordResolver = null;
+
+function getBackupPayload() {
+    return { projects, documents, settings, chatThreads, usageLedger, snapshots, trash };
 }
 
-function toggleDocument(id) {
-    const doc = documents.find(d => d.id === id);
-    if (!doc) return;
+async function sha256Hex(text) {
+    const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(hash)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
 
-    doc.enabled = !doc.enabled;
-    autoSave();
-    updateDocumentsList();
+function downloadFile(text, filename, type = 'application/json') {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
 }
 
-function openDocumentInEditor(docId) {
-    // Save current document before switching
-    if (currentDocumentId && hasUnsavedChanges) {
-        saveDocument(false);
+async function buildBackupFile(payload, password = '', kind = 'full') {
+    const json = JSON.stringify(payload);
+    const file = {
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        kind,
+        created: new Date().toISOString(),
+        counts: Object.fromEntries(BACKUP_LISTS.map(name => [name, (payload[name] || []).length])),
+        checksum: await sha256Hex(json)
+    };
+
+    if (!password) {
+        return { ...file, encrypted: false, payload };
     }
 
-    currentDocumentId = docId;
-    settings.lastDocumentId = docId;
-    autoSave();
-    loadDocumentToEditor();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveWrappingKey(password, salt, PBKDF2_ITERATIONS, ['encrypt', 'decrypt']);
+    const { iv, data } = await encryptText(json, key);
+    return { ...file, encrypted: true, encryption: { salt: bytesToBase64(salt), iv, iterations: PBKDF2_ITERATIONS }, ciphertext: data };
 }
 
-function loadDocumentToEditor() {
-    const doc = documents.find(d => d.id === currentDocumentId);
-    if (!doc) return;
+function openBackupModal() {
+    document.querySelectorAll('#backupModal input').forEach(input => input.value = '');
+    document.getElementById('backupError').textContent = '';
+    document.getElementById('backupModal').style.display = 'flex';
+}
 
-    quillEditor.root.innerHTML = doc.content || '';
-    document.getElementById('documentTitle').textContent = doc.title;
-    document.getElementById('documentType').textContent = doc.type;
-    document.getElementById('documentWordCount').textContent = `${doc.wordCount || 0} words`;
-    document.getElementById('documentInfo').style.display = 'block';
-    
-    // Update dropdowns
-    document.getElementById('projectSelect').value = doc.projectId;
-    currentProjectId = doc.projectId;
-    
-    hasUnsavedChanges = false;
-    updateWordCount();
-    updateDocumentsList();
+function closeBackupModal() {
+    document.getElementById('backupModal').style.display = 'none';
 }
 
-function saveDocument(showNotification = true) {
-    if (!currentDocumentId) {
-        if (showNotification) {
-            showToast('No document selected');
-        }
+async function createBackup() {
+    const password = document.getElementById('backupPassword').value;
+    if (password && password !== document.getElementById('backupPasswordConfirm').value) {
+        document.getElementById('backupError').textContent = 'The passwords don\'t match.';
         return;
     }
 
-    const doc = documents.find(d => d.id === currentDocumentId);
-    if (!doc) return;
+    try {
+        if (hasUnsavedChanges) saveDocument(false);
 
-    doc.content = quillEditor.root.innerHTML;
-    doc.wordCount = countWords(quillEditor.getText());
-    doc.updated = new Date().toISOString();
+        const file = await buildBackupFile(getBackupPayload(), password);
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(JSON.stringify(file, null, 2), `PymWrite_Backup_${date}.pym`);
 
-    autoSave();
-    hasUnsavedChanges = false;
-    
-    if (showNotification) {
-        showToast('Document saved! 💾');
+        closeBackupModal();
+        showToast(password ? 'Password-protected backup created! 🔒' : 'Backup created successfully!');
+    } catch (err) {
+        console.error('Backup failed:', err);
+        showToast('Backup failed. Check console.');
     }
-    
-    updateWordCount();
-    updateProjectsList();
-    updateDocumentsList();
 }
 
-function clearEditor() {
-    if (!confirm('Clear the editor? Unsaved changes will be lost.')) return;
-    quillEditor.setText('');
-    hasUnsavedChanges = false;
-    updateWordCount();
+// Resolves with the password typed for an encrypted backup, or null
+function askBackupPassword(message = '') {
+    document.getElementById('backupPasswordInput').value = '';
+    document.getElementById('backupPasswordError').textContent = message;
+    document.getElementById('backupPasswordModal').style.display = 'flex';
+    document.getElementById('backupPasswordInput').focus();
+    return new Promise(resolve => backupPasswordResolver = resolve);
 }
 
-function updateDocumentsList() {
-    const container = document.getElementById('documentsList');
-    
-    if (!currentProjectId) {
-        container.innerHTML = '<p style="text-align:center; color:#999; padding:20px;">Select a project to manage documents</p>';
-        return;
-    }
+function submitBackupPassword(cancelled = false) {
+    const password = document.getElementById('backupPasswordInput').value;
+    document.getElementById('backupPasswordModal').style.display = 'none';
+    backupPasswordResolver(cancelled ? null : password);
+    backupPasswordResolver = null;
+}
 
-    let projectDocs = documents.filter(d => d.projectId === currentProjectId);
+// Problems with the payload's structure, as readable sentences
+function validateBackupPayload(payload, counts = null) {
+    const problems = [];
 
-    if (projectDocs.length === 0) {
-        container.innerHTML = '<p style="text-align:center; color:#999; padding:20px;">No documents yet. Create one to get started!</p>';
-        return;
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['The backup contains no data.'];
     }
 
-    // Ensure all documents have an order property
-    projectDocs.forEach((doc, index) => {
-        if (doc.order === undefined) {
-            doc.order = index;
+    BACKUP_LISTS.forEach(name => {
+        if (payload[name] !== undefined && !Array.isArray(payload[name])) {
+            problems.push(`"${name}" should be a list but is ${typeof payload[name]}.`);
         }
     });
+    if (!Array.isArray(payload.projects)) problems.push('The backup has no project list.');
+    if (!Array.isArray(payload.documents)) problems.push('The backup has no document list.');
+    if (payload.settings !== undefined && (typeof payload.settings !== 'object' || Array.isArray(payload.settings))) {
+        problems.push('"settings" should be an object.');
+    }
+    if (problems.length > 0) return problems;
 
-    // Sort ONLY by order (no grouping)
-    projectDocs.sort((a, b) => a.order - b.order);
+    if (counts) {
+        BACKUP_LISTS.forEach(name => {
+            const actual = (payload[name] || []).length;
+            if (counts[name] !== undefined && counts[name] !== actual) {
+                problems.push(`The backup should hold ${counts[name]} ${name} but holds ${actual}. It is probably truncated.`);
+            }
+        });
+    }
 
-    let html = '';
-    projectDocs.forEach(doc => {
-        const isActive = doc.id === currentDocumentId;
-        html += `
-            <div class="document-card ${doc.enabled ? 'enabled' : 'disabled'} ${isActive ? 'active-doc' : ''}" 
-                 draggable="true" 
-                 data-doc-id="${doc.id}"
-                 ondragstart="handleDragStart(event)" 
-                 ondragover="handleDragOver(event)" 
-                 ondrop="handleDrop(event)" 
-                 ondragend="handleDragEnd(event)"
-                 onclick="openDocumentInEditor(${doc.id})">
-                <div class="document-header">
-                    <div class="drag-handle" title="Drag to reorder">⋮⋮</div>
-                    <label class="toggle-container" onclick="event.stopPropagation();">
-                        <input type="checkbox" ${doc.enabled ? 'checked' : ''} onchange="toggleDocument(${doc.id})">
-                        <span class="toggle-slider"></span>
-                    </label>
-                    <div class="document-title">
-                        <h4><span class="doc-type-icon">${getTypeIcon(doc.type)}</span> ${doc.title}</h4>
-                        <span class="document-meta">${doc.wordCount || 0} words • ${doc.type}</span>
-                    </div>
-                    <div class="document-actions">
-                        <button class="icon-btn delete-icon" onclick="event.stopPropagation(); deleteDocument(${doc.id})" title="Delete">🗑️</button>
-                    </div>
-                </div>
-            </div>
-        `;
+    const checkIds = (list, label) => {
+        const seen = new Set();
+        list.forEach((item, i) => {
+            if (!item || typeof item !== 'object') {
+                problems.push(`${label} #${i + 1} is not a record.`);
+            } else if (item.id === undefined || item.id === null) {
+                problems.push(`${label} #${i + 1}${item.title ? ` ("${item.title}")` : ''} has no id.`);
+            } else if (seen.has(item.id)) {
+                problems.push(`${label} id ${item.id} appears more than once.`);
+            } else {
+                seen.add(item.id);
+            }
+        });
+        return seen;
+    };
+
+    const projectIds = checkIds(payload.projects, 'Project');
+    payload.projects.forEach((project, i) => {
+        if (project && typeof project.title !== 'string') problems.push(`Project #${i + 1} has no title.`);
     });
 
-    container.innerHTML = html;
+    checkIds(payload.documents, 'Document');
+    payload.documents.forEach((doc, i) => {
+        if (!doc || typeof doc !== 'object') return;
+        const name = typeof doc.title === 'string' ? `Document "${doc.title}"` : `Document #${i + 1}`;
+        if (typeof doc.title !== 'string') problems.push(`Document #${i + 1} has no title.`);
+        if (doc.content !== undefined && typeof doc.content !== 'string') problems.push(`${name} has content that isn't text.`);
+        if (!projectIds.has(doc.projectId)) problems.push(`${name} belongs to project ${doc.projectId}, which isn't in the backup.`);
+    });
+
+    if (Array.isArray(payload.chatThreads)) checkIds(payload.chatThreads, 'Chat thread');
+    if (Array.isArray(payload.snapshots)) checkIds(payload.snapshots, 'Snapshot');
+
+    return problems;
 }
 
-// Drag and Drop handlers
-function handleDragStart(e) {
-    draggedElement = e.target.closest('.document-card');
-    if (!draggedElement) return;
-    
-    draggedElement.style.opacity = '0.4';
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/html', draggedElement.innerHTML);
+// Reads a .pym file's text. Returns { payload, created, legacy, kind } or
+// { problems } describing exactly why it can't be used.
+async function parseBackup(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (e) {
+        const truncated = /end of (JSON|data)|unterminated|unexpected end/i.test(e.message);
+        return {
+            problems: [truncated
+                ? 'The file ends unexpectedly. It looks truncated, perhaps from an interrupted download or copy.'
+                : `The file is not valid JSON: ${e.message}`]
+        };
+    }
+
+    if (!file || typeof file !== 'object') {
+        return { problems: ['The file is not a Pym Write backup.'] };
+    }
+
+    // Backups from before checksums: only the structure can be checked
+    if (file.format === undefined && (file.projects || file.documents)) {
+        const payload = { ...file, chatThreads: file.chatThreads || migrateChatHistory(file.chatHistory, file.settings?.lastProjectId) };
+        const problems = validateBackupPayload(payload);
+        return problems.length > 0 ? { problems } : { payload, created: file.timestamp, legacy: true, kind: 'full' };
+    }
+
+    if (file.format !== BACKUP_FORMAT) {
+        return { problems: ['The file is not a Pym Write backup.'] };
+    }
+    if (!Number.isInteger(file.schemaVersion)) {
+        return { problems: ['The backup has no schema version.'] };
+    }
+    if (file.schemaVersion > BACKUP_SCHEMA_VERSION) {
+        return { problems: [`The backup was made by a newer version of Pym Write (schema ${file.schemaVersion}; this version reads up to ${BACKUP_SCHEMA_VERSION}). Update Pym Write and try again.`] };
+    }
+    if (typeof file.checksum !== 'string') {
+        return { problems: ['The backup has no checksum.'] };
+    }
+
+    let json;
+    if (file.encrypted) {
+        if (!file.encryption || typeof file.ciphertext !== 'string') {
+            return { problems: ['The backup is marked as encrypted but its encrypted data is missing.'] };
+        }
+
+        let message = 'This backup is password-protected.';
+        while (json === undefined) {
+            const password = await askBackupPassword(message);
+            if (password === null) return { cancelled: true };
+            try {
+                const key = await deriveWrappingKey(password, base64ToBytes(file.encryption.salt), file.encryption.iterations, ['encrypt', 'decrypt']);
+                json = await decryptText({ iv: file.encryption.iv, data: file.ciphertext }, key);
+            } catch (e) {
+                message = 'Wrong password, or the encrypted data is damaged.';
+            }
+        }
+    } else {
+        if (file.payload === undefined) {
+            return { problems: ['The backup has no data.'] };
+        }
+        json = JSON.stringify(file.payload);
+    }
+
+    if (await sha256Hex(json) !== file.checksum) {
+        return { problems: ['The checksum doesn\'t match: the backup was damaged or edited after it was made.'] };
+    }
+
+    const payload = JSON.parse(json);
+    const problems = validateBackupPayload(payload, file.counts);
+    return problems.length > 0 ? { problems } : { payload, created: file.created, legacy: false, kind: file.kind === 'project' ? 'project' : 'full' };
 }
 
-function handleDragOver(e) {
-    if (e.preventDefault) {
-        e.preventDefault();
+function showBackupProblems(filename, problems) {
+    const shown = problems.slice(0, MAX_REPORTED_PROBLEMS);
+    document.getElementById('backupProblemsTitle').textContent = `⚠️ "${filename}" can't be restored`;
+    document.getElementById('backupProblemsList').innerHTML = shown.map(problem => `<li>${escapeHtml(problem)}</li>`).join('') +
+        (problems.length > shown.length ? `<li>…and ${problems.length - shown.length} more problems.</li>` : '');
+    document.getElementById('backupProblemsModal').style.display = 'flex';
+}
+
+function closeBackupProblemsModal() {
+    document.getElementById('backupProblemsModal').style.display = 'none';
+}
+
+function readFileText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+// Opening a .pym file never changes anything by itself: the import wizard
+// lets the user pick projects to bring in, or replace everything
+async function restoreFromBackup(file) {
+    if (!file) return;
+    document.getElementById('restoreFile').value = '';
+    closeMenu();
+
+    try {
+        const backup = await parseBackup(await readFileText(file));
+        if (backup.cancelled) return;
+        if (backup.problems) {
+            showBackupProblems(file.name, backup.problems);
+            return;
+        }
+
+        openImportModal(file.name, backup);
+    } catch (err) {
+        console.error('Restore failed:', err);
+        showBackupProblems(file.name, [`The file could not be read: ${err.message}`]);
     }
-    e.dataTransfer.dropEffect = 'move';
-    
-    const target = e.target.closest('.document-card');
-    if (target && target !== draggedElement) {
-        const rect = target.getBoundingClientRect();
-        const midpoint = rect.top + rect.height / 2;
-        
-        // Clear all borders first
-        document.querySelectorAll('.document-card').forEach(card => {
-            card.style.borderTop = '';
-            card.style.borderBottom = '';
+}
+
+// After projects or documents changed underneath the editor
+function refreshAfterDataChange() {
+    if (documents.some(d => d.id === currentDocumentId)) {
+        loadDocumentToEditor();
+    } else {
+        currentDocumentId = null;
+        quillEditor.setText('');
+        hasUnsavedChanges = false;
+        document.getElementById('documentInfo').style.display = 'none';
+    }
+
+    updateProjectsList();
+    updateProjectDropdown();
+    updateDocumentsList();
+    loadChatHistory();
+}
+
+// Swaps all data for a backup's payload
+async function applyFullBackup(data) {
+    if (currentDocumentId) {
+        settleGenerationBeforeSwitch();
+    }
+
+    projects = data.projects;
+    documents = data.documents;
+    settings = { ...settings, ...(data.settings || {}) };
+    chatThreads = data.chatThreads || [];
+    usageLedger = data.usageLedger || usageLedger;
+    // Local backups leave snapshots out; the documents they hold keep theirs
+    snapshots = data.snapshots || snapshots.filter(s => documents.some(d => d.id === s.docId));
+    trash = data.trash || [];
+
+    // Sync imported theme to localStorage
+    if (settings.theme) {
+        localStorage.setItem('pymTheme', settings.theme);
+    }
+
+    await autoSave();
+
+    // The editor still shows the open document as it was before
+    refreshAfterDataChange();
+
+    document.getElementById('themeSelect').value = settings.theme || 'default';
+    applyTheme(settings.theme || 'default');
+}
+
+async function replaceAllFromBackup() {
+    if (!pendingImport) return;
+    const { payload: data, filename } = pendingImport;
+
+    const created = pendingImport.created ? ` from ${new Date(pendingImport.created).toLocaleString()}` : '';
+    const unchecked = pendingImport.legacy ? '\n\nThis backup is in an older format without a checksum, so damage can\'t be ruled out.' : '';
+    if (!confirm(`Replace all current data (${projects.length} projects, ${documents.length} documents) with this backup${created} (${data.projects.length} projects, ${data.documents.length} documents)?${unchecked}`)) {
+        return;
+    }
+
+    try {
+        await takeLocalBackup(`Before restoring "${filename}"`);
+        await applyFullBackup(data);
+
+        closeImportModal();
+        showToast('Restore complete!');
+    } catch (err) {
+        console.error('Restore failed:', err);
+        closeImportModal();
+        showBackupProblems(filename, [`The backup could not be restored: ${err.message}`]);
+    }
+}
+
+/* ========== IMPORT ========== */
+
+// The import wizard brings chosen projects from a .pym file in next to
+// the existing ones, giving new ids to any that clash. A project that is
+// already here (same id or same title) can be kept as a second copy,
+// replace ours (which goes to the Trash) or be merged document by document.
+const IMPORT_MODES = {
+    keep: 'Keep both',
+    replace: 'Replace mine',
+    merge: 'Merge documents by title'
+};
+
+// { filename, payload, created, legacy, kind } of the file being imported
+let pendingImport = null;
+
+function normalizeTitle(title) {
+    return (title || '').trim().toLowerCase();
+}
+
+function findMatchingProject(project) {
+    return projects.find(p => p.id === project.id)
+        || projects.find(p => normalizeTitle(p.title) === normalizeTitle(project.title));
+}
+
+function openImportModal(filename, backup) {
+    pendingImport = { filename, ...backup };
+    const { payload } = backup;
+
+    const created = backup.created ? ` from ${new Date(backup.created).toLocaleString()}` : '';
+    const what = backup.kind === 'project' ? 'an exported project' : 'a backup';
+    document.getElementById('importSummary').textContent =
+        `"${filename}" is ${what}${created} with ${payload.projects.length} project${payload.projects.length === 1 ? '' : 's'} and ${payload.documents.length} document${payload.documents.length === 1 ? '' : 's'}.`;
+    document.getElementById('importLegacyWarning').style.display = backup.legacy ? 'block' : 'none';
+    document.getElementById('importReplaceAllBtn').style.display = backup.kind === 'project' ? 'none' : '';
+
+    renderImportList();
+    document.getElementById('importModal').style.display = 'flex';
+}
+
+function closeImportModal() {
+    document.getElementById('importModal').style.display = 'none';
+    pendingImport = null;
+}
+
+function renderImportList() {
+    const { payload } = pendingImport;
+    const container = document.getElementById('importProjectList');
+
+    if (payload.projects.length === 0) {
+        container.innerHTML = '<p class="settings-hint">The file holds no projects.</p>';
+        return;
+    }
+
+    container.innerHTML = payload.projects.map((project, index) => {
+        const docCount = payload.documents.filter(d => d.projectId === project.id).length;
+        const match = findMatchingProject(project);
+        const conflict = match ? `
+            <div class="import-item-conflict">
+                <span>Matches your "${escapeHtml(match.title)}":</span>
+                <select class="import-mode">
+                    ${Object.entries(IMPORT_MODES).map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}
+                </select>
+            </div>
+        ` : '';
+
+        return `
+            <div class="trash-item import-item" data-index="${index}">
+                <input type="checkbox" checked onchange="updateImportButton()">
+                <div class="trash-item-info">
+                    <div class="trash-item-title">📖 ${escapeHtml(project.title)}</div>
+                    <div class="trash-item-meta">${escapeHtml(project.genre || '')} • ${docCount} document${docCount === 1 ? '' : 's'}</div>
+                    ${conflict}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    updateImportButton();
+}
+
+function updateImportButton() {
+    const checked = document.querySelectorAll('#importProjectList .import-item input:checked').length;
+    const button = document.getElementById('importSelectedBtn');
+    button.disabled = checked === 0;
+    button.textContent = `Import ${checked} Project${checked === 1 ? '' : 's'}`;
+}
+
+async function importSelectedProjects() {
+    if (!pendingImport) return;
+    const { payload, filename } = pendingImport;
+
+    const choices = [...document.querySelectorAll('#importProjectList .import-item')]
+        .filter(row => row.querySelector('input[type="checkbox"]').checked)
+        .map(row => {
+            const project = payload.projects[row.dataset.index];
+            return { project, target: findMatchingProject(project), mode: row.querySelector('.import-mode')?.value || 'keep' };
         });
-        
-        if (e.clientY < midpoint) {
-            target.style.borderTop = '3px solid var(--accent-primary)';
-        } else {
-            target.style.borderBottom = '3px solid var(--accent-primary)';
+    if (choices.length === 0) return;
+
+    const replaced = choices.filter(c => c.mode === 'replace' && c.target).map(c => `"${c.target.title}"`);
+    if (replaced.length > 0 && !confirm(`Replace ${replaced.join(', ')} with the imported version? Yours will be moved to the Trash.`)) {
+        return;
+    }
+
+    try {
+        await takeLocalBackup(`Before importing from "${filename}"`);
+        if (currentDocumentId) {
+            settleGenerationBeforeSwitch();
         }
+
+        const result = mergeImportedProjects(payload, choices, filename);
+        if (result.replacedIds.has(currentProjectId)) {
+            currentProjectId = result.replacedIds.get(currentProjectId);
+        }
+
+        await autoSave();
+        refreshAfterDataChange();
+        closeImportModal();
+
+        const parts = [`${result.projects} project${result.projects === 1 ? '' : 's'}`, `${result.added} document${result.added === 1 ? '' : 's'} added`];
+        if (result.updated > 0) parts.push(`${result.updated} updated`);
+        if (result.kept > 0) parts.push(`${result.kept} kept (yours were newer)`);
+        showToast(`Imported ${parts.join(', ')} 📥`, 5000);
+    } catch (err) {
+        console.error('Import failed:', err);
+        showToast('Import failed. Check console.');
     }
-    
-    return false;
 }
 
-function handleDrop(e) {
-    if (e.stopPropagation) {
-        e.stopPropagation();
-    }
-    
-    const target = e.target.closest('.document-card');
-    if (draggedElement && target && draggedElement !== target) {
-        const draggedId = parseInt(draggedElement.dataset.docId);
-        const targetId = parseInt(target.dataset.docId);
-        
-        const draggedDoc = documents.find(d => d.id === draggedId);
-        const targetDoc = documents.find(d => d.id === targetId);
-        
-        if (draggedDoc && targetDoc && draggedDoc.projectId === targetDoc.projectId) {
-            // Get all docs in this project sorted by current order
-            const projectDocs = documents
-                .filter(d => d.projectId === draggedDoc.projectId)
-                .sort((a, b) => (a.order || 0) - (b.order || 0));
-            
-            // Find current positions
-            const draggedIndex = projectDocs.findIndex(d => d.id === draggedId);
-            const targetIndex = projectDocs.findIndex(d => d.id === targetId);
-            
-            // Remove dragged doc
-            const [removed] = projectDocs.splice(draggedIndex, 1);
-            
-            // Determine insert position based on mouse position
-            const rect = target.getBoundingClientRect();
-            const midpoint = rect.top + rect.height / 2;
-            let insertIndex = targetIndex;
-            
-            // If dragging from above to below, adjust index
-            if (draggedIndex < targetIndex) {
-                insertIndex = e.clientY < midpoint ? targetIndex - 1 : targetIndex;
+// Adds the chosen projects with their documents, snapshots and chat
+// threads. Every record keeps its id unless that id is already taken here.
+function mergeImportedProjects(payload, choices, filename) {
+    const usedIds = new Set([...projects, ...documents, ...snapshots, ...chatThreads].map(r => r.id));
+    trash.forEach(entry => {
+        if (entry.project) usedIds.add(entry.project.id);
+        entry.documents.forEach(d => usedIds.add(d.id));
+        entry.snapshots.forEach(s => usedIds.add(s.id));
+        (entry.chatThreads || []).forEach(t => usedIds.add(t.id));
+    });
+
+    let nextId = Date.now();
+    const claimId = (id) => {
+        if (id !== undefined && id !== null && !usedIds.has(id)) {
+            usedIds.add(id);
+            return id;
+        }
+        while (usedIds.has(nextId)) nextId++;
+        usedIds.add(nextId);
+        return nextId;
+    };
+
+    const result = { projects: 0, added: 0, updated: 0, kept: 0, replacedIds: new Map() };
+    let nextOrder = Math.max(-1, ...projects.map(p => p.order || 0)) + 1;
+
+    choices.forEach(({ project, target, mode }) => {
+        const incomingDocs = payload.documents
+            .filter(d => d.projectId === project.id)
+            .sort((a, b) => (a.order || 0) - (b.order || 0));
+        // An earlier choice may already have replaced the matching project
+        const existing = target && projects.includes(target) ? target : null;
+        const docIdMap = new Map();
+        let projectId;
+
+        if (mode === 'merge' && existing) {
+            projectId = existing.id;
+            const existingDocs = documents.filter(d => d.projectId === projectId);
+            let nextDocOrder = Math.max(-1, ...existingDocs.map(d => d.order || 0)) + 1;
+
+            incomingDocs.forEach(doc => {
+                const match = existingDocs.find(d => normalizeTitle(d.title) === normalizeTitle(doc.title));
+                if (!match) {
+                    const newDoc = { ...doc, id: claimId(doc.id), projectId, order: nextDocOrder++ };
+                    docIdMap.set(doc.id, newDoc.id);
+                    documents.push(newDoc);
+                    result.added++;
+                    return;
+                }
+
+                docIdMap.set(doc.id, match.id);
+                if ((doc.content || '') === (match.content || '')) return;
+
+                // The losing version stays in the document's history
+                if (new Date(doc.updated || 0) > new Date(match.updated || 0)) {
+                    createSnapshot(match, { name: 'Before import', note: `Replaced by the version in ${filename}` });
+                    Object.assign(match, {
+                        content: doc.content,
+                        wordCount: doc.wordCount,
+                        summary: doc.summary,
+                        summaryWordCount: doc.summaryWordCount,
+                        summaryUpdated: doc.summaryUpdated,
+                        updated: doc.updated
+                    });
+                    result.updated++;
+                } else {
+                    createSnapshot({ id: match.id, content: doc.content, wordCount: doc.wordCount }, { name: 'Imported version', note: `Older version from ${filename}` });
+                    result.kept++;
+                }
+            });
+
+            const loreNames = new Set((existing.lorebook || []).map(entry => normalizeTitle(entry.name)));
+            const newLore = (project.lorebook || []).filter(entry => !loreNames.has(normalizeTitle(entry.name)));
+            if (newLore.length > 0) {
+                existing.lorebook = [...(existing.lorebook || []), ...newLore];
+            }
+            existing.updated = new Date().toISOString();
+        } else {
+            const newProject = { ...project, id: claimId(project.id) };
+            projectId = newProject.id;
+
+            if (mode === 'replace' && existing) {
+                newProject.order = existing.order;
+                moveToTrash('project', existing, documents.filter(d => d.projectId === existing.id));
+                result.replacedIds.set(existing.id, projectId);
             } else {
-                insertIndex = e.clientY < midpoint ? targetIndex : targetIndex + 1;
+                newProject.order = nextOrder++;
+                if (projects.some(p => normalizeTitle(p.title) === normalizeTitle(project.title))) {
+                    newProject.title = `${project.title} (imported)`;
+                }
             }
-            
-            // Insert at new position
-            projectDocs.splice(insertIndex, 0, removed);
-            
-            // Reassign orders
-            projectDocs.forEach((doc, index) => {
-                doc.order = index;
+            projects.push(newProject);
+
+            incomingDocs.forEach(doc => {
+                const newDoc = { ...doc, id: claimId(doc.id), projectId };
+                docIdMap.set(doc.id, newDoc.id);
+                documents.push(newDoc);
             });
-            
-            autoSave();
-            updateDocumentsList();
+            result.added += incomingDocs.length;
         }
-    }
-    
-    // Clear border indicators
-    document.querySelectorAll('.document-card').forEach(card => {
-        card.style.borderTop = '';
-        card.style.borderBottom = '';
+
+        (payload.snapshots || [])
+            .filter(s => docIdMap.has(s.docId))
+            .filter(s => !snapshots.some(own => own.docId === docIdMap.get(s.docId) && own.created === s.created && own.content === s.content))
+            .forEach(s => snapshots.push({ ...s, id: claimId(s.id), docId: docIdMap.get(s.docId) }));
+
+        (payload.chatThreads || [])
+            .filter(t => t.projectId === project.id)
+            .filter(t => !chatThreads.some(own => own.id === t.id && own.projectId === projectId && own.updated === t.updated))
+            .forEach(thread => chatThreads.push({
+                ...thread,
+                id: claimId(thread.id),
+                projectId,
+                pinnedDocIds: (thread.pinnedDocIds || []).filter(id => docIdMap.has(id)).map(id => docIdMap.get(id)),
+                messages: thread.messages.map(msg => msg.citations
+                    ? { ...msg, citations: msg.citations.map(c => ({ ...c, docId: docIdMap.get(c.docId) ?? c.docId })) }
+                    : msg)
+            }));
+
+        result.projects++;
     });
-    
-    return false;
+
+    return result;
 }
 
-function handleDragEnd(e) {
-    if (draggedElement) {
-        draggedElement.style.opacity = '1';
+// A single-project .pym holds the project with its documents, their
+// snapshots and its chat threads, but no settings or usage
+async function exportProject(projectId) {
+    const project = projects.find(p => p.id === projectId);
+    if (!project) return;
+
+    try {
+        if (hasUnsavedChanges) saveDocument(false);
+
+        const projectDocs = documents.filter(d => d.projectId === projectId);
+        const docIds = new Set(projectDocs.map(d => d.id));
+        const payload = {
+            projects: [project],
+            documents: projectDocs,
+            chatThreads: chatThreads.filter(t => t.projectId === projectId),
+            snapshots: snapshots.filter(s => docIds.has(s.docId))
+        };
+
+        const file = await buildBackupFile(payload, '', 'project');
+        downloadFile(JSON.stringify(file, null, 2), `${project.title.replace(/[^\w\- ]+/g, '').trim() || 'Project'}.pym`);
+        showToast(`"${project.title}" exported 📤`);
+    } catch (err) {
+        console.error('Project export failed:', err);
+        showToast('Export failed. Check console.');
     }
-    
-    // Clear all border indicators
-    document.querySelectorAll('.document-card').forEach(card => {
-        card.style.borderTop = '';
-        card.style.borderBottom = '';
+}
+
+/* ========== LOCAL BACKUPS ========== */
+
+// Copies of all data kept in this browser, taken on a schedule and before
+// restores, imports, project deletes, Markdown conversions and Clear.
+// Snapshots are left out, as they would make every copy many times larger.
+// The newest settings.backupKeepLast copies are kept, plus the newest of
+// each day for settings.backupDailyDays days.
+const BACKUP_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Summaries of the stored backups, newest first
+let localBackups = [];
+// False until the stored backups were read, so nothing is backed up or
+// pruned from a failed load
+let localBackupsReady = false;
+// When the schedule last took (or skipped) a backup
+let lastScheduledBackupCheck = 0;
+
+async function loadLocalBackups() {
+    const list = [];
+    for (const record of await readStoreRecords('backups')) {
+        try {
+            list.push(await decodeRecord(record));
+        } catch (e) {
+            console.error(`Unreadable backup ${record.id}:`, e);
+        }
+    }
+    localBackups = list.sort((a, b) => new Date(b.created) - new Date(a.created));
+    localBackupsReady = true;
+}
+
+async function readLocalBackupFile(id) {
+    const record = await readStoreRecord('backupFiles', id);
+    if (!record) throw new Error('The backup file is missing');
+    return (await decodeRecord(record)).file;
+}
+
+// The state is copied before the first await, so the risky action that
+// follows can't change what gets stored. The open document goes in as it is
+// on screen, but isn't saved: some callers (Clear) are about to discard
+// those edits, and the backup is how to get them back. Skipped when nothing
+// changed since the latest backup.
+async function takeLocalBackup(reason) {
+    if (!localBackupsReady || keysChangedElsewhere) return null;
+
+    const payload = JSON.parse(JSON.stringify(getBackupPayload()));
+    delete payload.snapshots;
+    // An unreviewed rewrite would put its diff markup in the copy
+    const openDoc = hasUnsavedChanges && !pendingRewrite && payload.documents.find(d => d.id === currentDocumentId);
+    if (openDoc) {
+        openDoc.content = quillEditor.root.innerHTML;
+        openDoc.wordCount = countWords(quillEditor.getText());
+    }
+
+    try {
+        const file = await buildBackupFile(payload);
+        if (localBackups[0]?.checksum === file.checksum) return localBackups[0];
+
+        const backup = {
+            id: Math.max(Date.now(), (localBackups[0]?.id || 0) + 1),
+            created: file.created,
+            reason,
+            counts: file.counts,
+            checksum: file.checksum,
+            size: JSON.stringify(file).length
+        };
+        await writeRecords({
+            backups: { puts: [await encodeRecord('backups', backup, JSON.stringify(backup))], deletes: [] },
+            backupFiles: { puts: [await encodeRecord('backupFiles', backup, JSON.stringify({ id: backup.id, file }))], deletes: [] }
+        });
+
+        localBackups = [backup, ...localBackups].sort((a, b) => new Date(b.created) - new Date(a.created));
+        await pruneLocalBackups();
+        postSyncMessage({ type: 'backups' });
+        if (document.getElementById('localBackupsModal').style.display === 'flex') renderLocalBackupsList();
+        return backup;
+    } catch (e) {
+        console.error('Local backup failed:', e);
+        showToast('Automatic backup failed.');
+        return null;
+    }
+}
+
+function selectLocalBackupsToKeep() {
+    const keep = new Set(localBackups.slice(0, Math.max(1, settings.backupKeepLast)).map(b => b.id));
+    const cutoff = Date.now() - settings.backupDailyDays * DAY_MS;
+    const days = new Set();
+
+    localBackups.forEach(backup => {
+        const created = new Date(backup.created);
+        const day = created.toDateString();
+        if (created.getTime() >= cutoff && !days.has(day)) {
+            days.add(day);
+            keep.add(backup.id);
+        }
     });
-    
-    draggedElement = null;
+
+    return keep;
+}
+
+async function pruneLocalBackups() {
+    const keep = selectLocalBackupsToKeep();
+    const dropped = localBackups.filter(b => !keep.has(b.id)).map(b => b.id);
+    if (dropped.length === 0) return;
+
+    await writeRecords({
+        backups: { puts: [], deletes: dropped },
+        backupFiles: { puts: [], deletes: dropped }
+    });
+    localBackups = localBackups.filter(b => keep.has(b.id));
+}
+
+function runScheduledBackup() {
+    const interval = settings.backupIntervalMinutes * 60 * 1000;
+    if (!interval || projects.length === 0) return;
+
+    const latest = Math.max(lastScheduledBackupCheck, localBackups[0] ? new Date(localBackups[0].created).getTime() : 0);
+    if (Date.now() - latest < interval) return;
+
+    lastScheduledBackupCheck = Date.now();
+    takeLocalBackup('Scheduled');
+}
+
+// Rewrites every backup under the current key; see reencryptAllData
+async function reencryptLocalBackups(previousKey) {
+    const writes = {};
+    for (const name of Object.keys(BACKUP_STORES)) {
+        writes[name] = { puts: [], deletes: [] };
+        for (const record of await readStoreRecords(name)) {
+            try {
+                const item = await decodeRecord(record, previousKey);
+                writes[name].puts.push(await encodeRecord(name, item, JSON.stringify(item)));
+            } catch (e) {
+                console.error(`Unreadable ${name} record ${record.id}:`, e);
+            }
+        }
+    }
+    await writeRecords(writes);
+}
+
+function formatBackupSize(chars) {
+    if (chars < 1024 * 1024) return `${Math.max(1, Math.round(chars / 1024))} KB`;
+    return `${(chars / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function describeBackupCounts(counts) {
+    return `${counts.projects} project${counts.projects === 1 ? '' : 's'}, ${counts.documents} document${counts.documents === 1 ? '' : 's'}`;
+}
+
+function openLocalBackupsModal() {
+    document.getElementById('backupInterval').value = settings.backupIntervalMinutes;
+    document.getElementById('backupKeepLast').value = settings.backupKeepLast;
+    document.getElementById('backupDailyDays').value = settings.backupDailyDays;
+    document.getElementById('localBackupPreview').innerHTML = '';
+    updateBackupLeaderStatus();
+    renderLocalBackupsList();
+    document.getElementById('localBackupsModal').style.display = 'flex';
+}
+
+function closeLocalBackupsModal() {
+    document.getElementById('localBackupsModal').style.display = 'none';
+}
+
+function saveLocalBackupSettings() {
+    settings.backupIntervalMinutes = parseInt(document.getElementById('backupInterval').value);
+    settings.backupKeepLast = Math.max(1, parseInt(document.getElementById('backupKeepLast').value) || 1);
+    settings.backupDailyDays = Math.max(0, parseInt(document.getElementById('backupDailyDays').value) || 0);
+    document.getElementById('backupKeepLast').value = settings.backupKeepLast;
+    document.getElementById('backupDailyDays').value = settings.backupDailyDays;
+    autoSave();
+
+    pruneLocalBackups()
+        .then(() => {
+            renderLocalBackupsList();
+            postSyncMessage({ type: 'backups' });
+        })
+        .catch(e => console.error('Pruning backups failed:', e));
+}
+
+async function backUpNow() {
+    const backup = await takeLocalBackup('Manual');
+    if (backup) showToast('Backup saved in this browser 🕒');
+}
+
+function renderLocalBackupsList() {
+    const container = document.getElementById('localBackupsList');
+
+    if (localBackups.length === 0) {
+        container.innerHTML = '<p class="settings-hint">No backups yet.</p>';
+        return;
+    }
+
+    container.innerHTML = localBackups.map(backup => `
+        <div class="trash-item">
+            <div class="trash-item-info">
+                <div class="trash-item-title">🕒 ${new Date(backup.created).toLocaleString()}</div>
+                <div class="trash-item-meta">${escapeHtml(backup.reason)} • ${describeBackupCounts(backup.counts)} • ${formatBackupSize(backup.size)}</div>
+            </div>
+            <button onclick="previewLocalBackup(${backup.id})" class="secondary-btn" title="Preview">👁️</button>
+            <button onclick="restoreLocalBackup(${backup.id})" class="secondary-btn">↩️ Restore</button>
+            <button onclick="downloadLocalBackup(${backup.id})" class="secondary-btn" title="Download as .pym">⬇️</button>
+        </div>
+    `).join('');
+}
+
+async function previewLocalBackup(id) {
+    const container = document.getElementById('localBackupPreview');
+    const backup = localBackups.find(b => b.id === id);
+    if (!backup) return;
+
+    try {
+        const { payload } = await readLocalBackupFile(id);
+        const sortedProjects = [...payload.projects].sort((a, b) => (a.order || 0) - (b.order || 0));
+
+        container.innerHTML = `
+            <h4>Backup of ${new Date(backup.created).toLocaleString()}</h4>
+            <p class="settings-hint">${describeBackupCounts(backup.counts)}. Now you have ${describeBackupCounts({ projects: projects.length, documents: documents.length })}.</p>
+            ${sortedProjects.map(project => {
+                const projectDocs = payload.documents
+                    .filter(d => d.projectId === project.id)
+                    .sort((a, b) => (a.order || 0) - (b.order || 0));
+                const words = projectDocs.reduce((sum, doc) => sum + (doc.wordCount || 0), 0);
+                const missing = projects.some(p => p.id === project.id) ? '' : ' • not in your current data';
+
+                return `
+                    <div class="local-backup-project">
+                        <div class="trash-item-title">📖 ${escapeHtml(project.title)}</div>
+                        <div class="trash-item-meta">${projectDocs.length} document${projectDocs.length === 1 ? '' : 's'} • ${words.toLocaleString()} words${missing}</div>
+                        <ul>
+                            ${projectDocs.map(doc => `<li>${getTypeIcon(doc.type)} ${escapeHtml(doc.title)} <span class="trash-item-meta">${(doc.wordCount || 0).toLocaleString()} words</span></li>`).join('')}
+                        </ul>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    } catch (e) {
+        console.error('Backup preview failed:', e);
+        container.innerHTML = '<p class="unlock-error">This backup can\'t be read.</p>';
+    }
+}
+
+async function restoreLocalBackup(id) {
+    const backup = localBackups.find(b => b.id === id);
+    if (!backup) return;
+
+    const name = `Backup of ${new Date(backup.created).toLocaleString()}`;
+    try {
+        const result = await parseBackup(JSON.stringify(await readLocalBackupFile(id)));
+        if (result.problems) {
+            showBackupProblems(name, result.problems);
+            return;
+        }
+
+        if (!confirm(`Replace all current data (${describeBackupCounts({ projects: projects.length, documents: documents.length })}) with the backup from ${new Date(backup.created).toLocaleString()} (${describeBackupCounts(backup.counts)})? Your current data is backed up first.`)) {
+            return;
+        }
+
+        await takeLocalBackup('Before restoring a backup');
+        await applyFullBackup(result.payload);
+
+        renderLocalBackupsList();
+        document.getElementById('localBackupPreview').innerHTML = '';
+        showToast('Backup restored ↩️');
+    } catch (e) {
+        console.error('Restore failed:', e);
+        showBackupProblems(name, [`The backup could not be read: ${e.message}`]);
+    }
+}
+
+async function downloadLocalBackup(id) {
+    const backup = localBackups.find(b => b.id === id);
+    if (!backup) return;
+
+    try {
+        const file = await readLocalBackupFile(id);
+        const stamp = backup.created.slice(0, 16).replace(/[:T]/g, '-');
+        downloadFile(JSON.stringify(file, null, 2), `PymWrite_Backup_${stamp}.pym`);
+    } catch (e) {
+        console.error('Backup download failed:', e);
+        showToast('Download failed. Check console.');
+    }
+}
+
+/* ========== TAB SYNC ========== */
+
+// Tabs tell each other which records they saved; the others read those
+// records back from IndexedDB, so nothing decrypted crosses the channel.
+// A saved document carries the updated time of the copy it replaced. A tab
+// whose copy differs from that base has edits the saving tab never saw:
+// for the open document the user picks a version, for any other the
+// overwritten copy is kept as a snapshot. One tab, elected with a Web
+// Lock, runs the scheduled background work.
+//
+// Saves themselves are not handed to that tab. Unsaved edits exist only in
+// the tab they were made in; sending them over would put decrypted text on
+// the channel and lose them if the elected tab closed mid-save. Each save
+// writes only the records that changed, in one transaction, so a tab no
+// longer overwrites the others' state wholesale, and the base check above
+// catches the one case left: two tabs changing the same document. What the
+// elected tab takes is the work no single tab owns: scheduled backups and
+// purging the Trash.
+const SYNC_CHANNEL_NAME = 'pym-sync';
+const LEADER_LOCK_NAME = 'pym-leader';
+
+let syncChannel = null;
+// Without Web Locks every tab does its own background work
+let isSyncLeader = !navigator.locks;
+// Set when another tab changed the data key; this tab must reload
+let keysChangedElsewhere = false;
+// { docId } while the open document has an unresolved conflict
+let syncConflict = null;
+// Remote saves are applied one at a time, in the order they arrived
+let remoteSaveQueue = Promise.resolve();
+// Latest copy another tab saved of the thread a reply is streaming into,
+// merged once the reply is in
+let deferredChatThread = null;
+
+function startTabSync() {
+    if (navigator.locks) {
+        navigator.locks.request(LEADER_LOCK_NAME, () => {
+            isSyncLeader = true;
+            updateBackupLeaderStatus();
+            // Held until the tab closes, then the next tab in line gets it
+            return new Promise(() => {});
+        });
+    }
+
+    if (!window.BroadcastChannel) return;
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    syncChannel.onmessage = (e) => handleSyncMessage(e.data);
+}
+
+function postSyncMessage(message) {
+    if (syncChannel) syncChannel.postMessage(message);
+}
+
+// Scheduled work, done by the elected tab only
+function runBackgroundTasks() {
+    if (!isSyncLeader) return;
+    purgeExpiredTrash();
+    runScheduledBackup();
+}
+
+function updateBackupLeaderStatus() {
+    document.getElementById('backupLeaderStatus').textContent = isSyncLeader
+        ? ''
+        : 'Pym Write is open in another tab, which takes the scheduled backups.';
+}
+
+// Called by autoSave once its writes are in the database
+function broadcastSave(writes) {
+    if (!syncChannel) return;
+
+    const stores = {};
+    Object.entries(writes).forEach(([name, { changed, deletes }]) => {
+        stores[name] = {
+            puts: changed.map(({ item, previous }) => ({
+                id: item.id,
+                base: name === 'documents' && previous ? JSON.parse(previous).updated : null
+            })),
+            deletes
+        };
+    });
+    postSyncMessage({ type: 'saved', stores });
+}
+
+function handleSyncMessage(message) {
+    if (message.type === 'saved') {
+        remoteSaveQueue = remoteSaveQueue
+            .then(() => applyRemoteSave(message.stores))
+            .catch(e => console.error('Applying changes from another tab failed:', e));
+    } else if (message.type === 'backups') {
+        loadLocalBackups()
+            .then(() => {
+                if (document.getElementById('localBackupsModal').style.display === 'flex') renderLocalBackupsList();
+            })
+            .catch(e => console.error('Reloading backups failed:', e));
+    } else if (message.type === 'keys') {
+        if (message.dataKeyChanged) {
+            keysChangedElsewhere = true;
+            showToast('Passphrase protection was changed in another tab. Copy any unsaved text, then reload this tab.', 60000,
+                { label: 'Reload', onClick: () => location.reload() });
+        } else {
+            loadFromDB(KEY_ENVELOPE_ID)
+                .then(envelope => keyEnvelope = envelope)
+                .catch(e => console.error('Reloading the key envelope failed:', e));
+        }
+    }
+}
+
+function getSyncList(name) {
+    return { projects, documents, snapshots, chat: chatThreads }[name];
+}
+
+// Keeps the object itself, as open threads and documents hold references
+function replaceRecordInPlace(target, source) {
+    Object.keys(target).forEach(key => delete target[key]);
+    Object.assign(target, source);
+}
+
+async function applyRemoteSave(stores) {
+    let changed = false;
+
+    for (const [name, { puts, deletes }] of Object.entries(stores)) {
+        for (const { id, base } of puts) {
+            let item;
+            try {
+                const record = await readStoreRecord(name, id);
+                if (!record) continue;
+                item = await decodeRecord(record);
+            } catch (e) {
+                console.error(`Unreadable ${name} record ${id} from another tab:`, e);
+                continue;
+            }
+
+            // A later save of this tab may already be the newest copy
+            const json = JSON.stringify(item);
+            if (savedRecords[name].get(id) === json) continue;
+
+            savedRecords[name].set(id, json);
+            applyRemoteRecord(name, item, base);
+            changed = true;
+        }
+
+        deletes.forEach(id => {
+            if (!savedRecords[name].has(id)) return;
+            savedRecords[name].delete(id);
+            removeRemoteRecord(name, id);
+            changed = true;
+        });
+    }
+
+    if (!changed) return;
+
+    if (currentProjectId && !projects.some(p => p.id === currentProjectId) && !currentDocumentId) {
+        currentProjectId = null;
+    }
+    updateProjectsList();
+    updateProjectDropdown();
+    updateDocumentsList();
+    if (stores.chat && !isChatBusy) loadChatHistory();
+    if (document.getElementById('trashModal').style.display === 'flex') renderTrashList();
+
+    // Snapshots of overwritten copies still need saving
+    autoSave();
+}
+
+function applyRemoteRecord(name, item, base) {
+    if (name === 'settings') {
+        if (item.id === 'settings') {
+            // Taken as is: a merge could reorder keys, and the differing JSON
+            // would be saved and sent back, over and over
+            const theme = settings.theme;
+            settings = item.value;
+            if (settings.theme !== theme) {
+                localStorage.setItem('pymTheme', settings.theme);
+                applyTheme(settings.theme);
+            }
+        } else if (item.id === 'usageLedger') {
+            usageLedger = item.value;
+        } else if (item.id === 'trash') {
+            trash = item.value;
+        }
+        return;
+    }
+
+    const list = getSyncList(name);
+    const local = list.find(r => r.id === item.id);
+    // A reply is still being added to this thread, which holds on to it;
+    // the other tab's messages are added once the reply is in
+    if (name === 'chat' && local && local.id === chatReplyThreadId) {
+        deferredChatThread = item;
+        return;
+    }
+    if (!local) {
+        list.push(item);
+    } else if (name === 'documents') {
+        applyRemoteDocument(local, item, base);
+    } else {
+        replaceRecordInPlace(local, item);
+    }
+}
+
+// Appends the messages another tab added to a thread while a reply streamed
+// here, so saving this tab's copy doesn't drop them
+function mergeDeferredChatThread() {
+    const remote = deferredChatThread;
+    deferredChatThread = null;
+    const local = remote && chatThreads.find(t => t.id === remote.id);
+    if (!local) return;
+
+    const messageKey = (msg) => `${msg.role}|${msg.timestamp}|${msg.content}`;
+    const known = new Set(local.messages.map(messageKey));
+    const missing = remote.messages.filter(msg => !known.has(messageKey(msg)));
+    if (missing.length === 0) return;
+
+    local.messages.push(...missing);
+    local.updated = new Date().toISOString();
+    autoSave();
+    if (local.id === getActiveChatThread()?.id) loadChatHistory();
+    showToast(`Added ${missing.length} message${missing.length === 1 ? '' : 's'} from another tab to "${local.title}"`, 4000);
+}
+
+function applyRemoteDocument(local, item, base) {
+    const contentChanged = (local.content || '') !== (item.content || '');
+    const diverged = contentChanged && local.updated !== base;
+
+    if (local.id !== currentDocumentId) {
+        if (diverged) {
+            createSnapshot(local, { name: 'Replaced by another tab', note: 'This tab\'s copy, overwritten by a save in another tab' });
+        }
+        replaceRecordInPlace(local, item);
+        return;
+    }
+
+    replaceRecordInPlace(local, item);
+    if (!contentChanged || syncConflict) return;
+
+    if (hasUnsavedChanges || diverged) {
+        showSyncConflict(local.id);
+        return;
+    }
+
+    const selection = quillEditor.getSelection();
+    loadDocumentToEditor();
+    if (selection) {
+        quillEditor.setSelection(Math.min(selection.index, quillEditor.getLength() - 1), 0, 'silent');
+    }
+    showToast('Updated with changes from another tab');
+}
+
+function removeRemoteRecord(name, id) {
+    if (name === 'settings') return;
+
+    const list = getSyncList(name);
+    const index = list.findIndex(r => r.id === id);
+    if (index >= 0) list.splice(index, 1);
+
+    if (name !== 'documents' || id !== currentDocumentId) return;
+
+    if (hasUnsavedChanges) {
+        showToast('This document was deleted in another tab. Restore it from the Trash to keep your changes.', 8000);
+        return;
+    }
+    clearSyncConflict();
+    currentDocumentId = null;
+    quillEditor.setText('');
+    hasUnsavedChanges = false;
+    document.getElementById('documentInfo').style.display = 'none';
+    showToast('This document was deleted in another tab');
+}
+
+function showSyncConflict(docId) {
+    syncConflict = { docId };
+    document.getElementById('syncConflictBanner').style.display = 'flex';
+}
+
+function clearSyncConflict() {
+    syncConflict = null;
+    document.getElementById('syncConflictBanner').style.display = 'none';
+}
+
+// The version not kept goes into the document's revision history
+function resolveSyncConflict(choice) {
+    if (!syncConflict) return;
+
+    if (choice === 'mine') {
+        const doc = documents.find(d => d.id === syncConflict.docId);
+        clearSyncConflict();
+        if (doc) {
+            createSnapshot(doc, { name: 'Other tab\'s version', note: 'Set aside after a conflict with another tab' });
+            saveDocument(false);
+        }
+        showToast('Kept this tab\'s version');
+    } else {
+        loadDocumentToEditor();
+        showToast('Loaded the other tab\'s version');
+    }
+}
+
+// Before the editor shows anything else, this tab's text of a conflicted
+// document is kept in its history, and the other tab's version stands
+function preserveConflictedText() {
+    if (!syncConflict) return;
+
+    const doc = documents.find(d => d.id === syncConflict.docId);
+    if (doc) {
+        createSnapshot(
+            { id: doc.id, content: quillEditor.root.innerHTML, wordCount: countWords(quillEditor.getText()) },
+            { name: 'This tab\'s version', note: 'Set aside after a conflict with another tab' }
+        );
+        autoSave();
+    }
+    hasUnsavedChanges = false;
+    clearSyncConflict();
+}
+
+/* ========== PROJECT MANAGEMENT ========== */
+
+function openNewProjectModal() {
+    document.getElementById('newProjectModal').style.display = 'flex';
+    document.getElementById('newProjectTitle').focus();
+}
+
+function closeNewProjectModal() {
+    document.getElementById('newProjectModal').style.display = 'none';
+    document.getElementById('newProjectForm').reset();
+}
+
+function createProject(event) {
+    event.preventDefault();
+
+    const project = {
+        id: Date.now(),
+        title: document.getElementById('newProjectTitle').value.trim(),
+        genre: document.getElementById('newProjectGenre').value,
+        description: document.getElementById('newProjectDescription').value.trim(),
+        targetWordCount: parseInt(document.getElementById('newProjectWordCount').value) || 0,
+        currentWordCount: 0,
+        created: new Date().toISOString(),
+        updated: new Date().toISOString()
+    };
+
+    projects.push(project);
+    autoSave();
+    updateProjectsList();
+    updateProjectDropdown();
+    closeNewProjectModal();
+    showToast(`Project "${project.title}" created!`);
+}
+
+function deleteProject(id) {
+    const project = projects.find(p => p.id === id);
+    if (!project) return;
+
+    if (currentProjectId === id) {
+        settleGenerationBeforeSwitch();
+    }
+
+    takeLocalBackup(`Before deleting "${project.title}"`);
+    const entry = moveToTrash('project', project, documents.filter(d => d.projectId === id));
+
+    if (currentProjectId === id) {
+        currentProjectId = null;
+        currentDocumentId = null;
+        document.getElementById('editor').value = '';
+        document.getElementById('documentInfo').style.display = 'none';
+    }
+
+    autoSave();
+    updateProjectsList();
+    updateProjectDropdown();
+    updateDocumentsList();
+    showToast(`Project "${project.title}" moved to Trash`, 6000, { label: 'Undo', onClick: () => restoreFromTrash(entry.id) });
+}
+
+// app.js
+
+function switchProject() {
+    const projectId = parseInt(document.getElementById('projectSelect').value);
+
+    settleGenerationBeforeSwitch();
+    
+    // 1. Clear the Editor correctly (Quill method)
+    if (quillEditor) {
+        quillEditor.setText(''); // This actually clears the text
+    }
+
+    // 2. Hide the Document Info Header
+    const docInfo = document.getElementById('documentInfo');
+    if (docInfo) {
+        docInfo.style.display = 'none';
+    }
+
+    // 3. Reset Current Document State
+    currentDocumentId = null;
+    settings.lastDocumentId = null; // Also clear the saved preference
+
+    // 4. Handle "No Project Selected" or "New Project" logic
+    if (!projectId) {
+        currentProjectId = null;
+        settings.lastProjectId = null;
+    } else {
+        currentProjectId = projectId;
+        settings.lastProjectId = projectId;
+    }
+
+    // 5. Refresh Data & UI
+    autoSave();
+    updateDocumentsList();
+}
+
+function updateProjectDropdown() {
+    const select = document.getElementById('projectSelect');
+    select.innerHTML = '<option value="">No Project Selected</option>';
+    
+    projects.forEach(project => {
+        const option = document.createElement('option');
+        option.value = project.id;
+        option.textContent = project.title;
+        if (project.id === currentProjectId) {
+            option.selected = true;
+        }
+        select.appendChild(option);
+    });
+}
+
+function updateProjectsList() {
+    const container = document.getElementById('projectsList');
+    
+    if (projects.length === 0) {
+        container.innerHTML = '<p style="text-align:center; color:#999; padding:40px;">No projects yet. Create one to get started!</p>';
+        return;
+    }
+
+    // Ensure all projects have an order
+    projects.forEach((project, index) => {
+        if (project.order === undefined) {
+            project.order = index;
+        }
+    });
+
+    // Sort by order
+    const sortedProjects = [...projects].sort((a, b) => (a.order || 0) - (b.order || 0));
+
+    container.innerHTML = sortedProjects.map(project => {
+        const projectDocs = documents.filter(d => d.projectId === project.id);
+        const totalWords = projectDocs.reduce((sum, doc) => sum + (doc.wordCount || 0), 0);
+        project.currentWordCount = totalWords;
+
+        return `
+            <div class="project-card" 
+                 draggable="true" 
+                 data-project-id="${project.id}"
+                 ondragstart="handleProjectDragStart(event)"
+                 ondragover="handleProjectDragOver(event)"
+                 ondrop="handleProjectDrop(event)"
+                 ondragend="handleProjectDragEnd(event)">
+                <div class="project-header">
+                    <div style="display: flex; align-items: center; gap: 12px;">
+                        <div class="drag-handle" title="Drag to reorder">⋮⋮</div>
+                        <div>
+                            <h3>${project.title}</h3>
+                            <span class="genre-badge">${project.genre}</span>
+                        </div>
+                    </div>
+                    <div class="project-actions">
+                        <button class="icon-btn" onclick="openEditProjectModal(${project.id})" title="Edit Project">✏️</button>
+                        <button class="icon-btn" onclick="copyProject(${project.id})" title="Copy Project">📋</button>
+                        <button class="icon-btn" onclick="exportProject(${project.id})" title="Export this project">📤</button>
+                        <button class="icon-btn" onclick="viewProjectDocuments(${project.id})" title="View Documents">📄</button>
+                        <button class="icon-btn delete-icon" onclick="deleteProject(${project.id})" title="Delete">🗑️</button>
+                    </div>
+                </div>
+                ${project.description ? `<p class="project-description">${project.description}</p>` : ''}
+                <div class="project-stats">
+                    <div class="stat">
+                        <span class="stat-label">Documents:</span>
+                        <span class="stat-value">${projectDocs.length}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Words:</span>
+                        <span class="stat-value">${totalWords.toLocaleString()}</span>
+                    </div>
+                    ${project.targetWordCount > 0 ? `
+                        <div class="stat">
+                            <span class="stat-label">Progress:</span>
+                            <span class="stat-value">${Math.round((totalWords / project.targetWordCount) * 100)}%</span>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function viewProjectDocuments(projectId) {
+    settleGenerationBeforeSwitch();
+
+    // 1. Set the new project
+    currentProjectId = projectId;
+    document.getElementById('projectSelect').value = projectId;
+    
+    // 2. CLEAR PREVIOUS DOCUMENT STATE (The Fix)
+    currentDocumentId = null;
+    settings.lastDocumentId = null;
+    
+    // 3. Hide the Document Header
+    const docInfo = document.getElementById('documentInfo');
+    if (docInfo) {
+        docInfo.style.display = 'none';
+    }
+
+    // 4. Clear the Editor Content
+    if (quillEditor) {
+        quillEditor.setText('');
+    }
+    
+    // 5. Switch to Write Tab
+    document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+    document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+    document.querySelector('.tab-btn:first-child').classList.add('active');
+    document.getElementById('write-tab').classList.add('active');
+    
+    // 6. Refresh Lists
+    updateDocumentsList();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+/* ========== DOCUMENT MANAGEMENT ========== */
+
+function openNewDocumentModal() {
+    if (!currentProjectId) {
+        showToast('Please select a project first');
+        return;
+    }
+    document.getElementById('documentModalTitle').textContent = 'Create New Document';
+    document.getElementById('newDocumentModal').style.display = 'flex';
+    document.getElementById('newDocumentTitle').focus();
+}
+
+function closeNewDocumentModal() {
+    document.getElementById('newDocumentModal').style.display = 'none';
+    document.getElementById('newDocumentForm').reset();
+}
+
+function createDocument(event) {
+    event.preventDefault();
+
+    if (!currentProjectId) {
+        showToast('Please select a project first');
+        return;
+    }
+
+    const projectDocs = documents.filter(d => d.projectId === currentProjectId);
+    const maxOrder = projectDocs.length > 0 ? Math.max(...projectDocs.map(d => d.order || 0)) : -1;
+
+    const doc = {
+        id: Date.now(),
+        projectId: currentProjectId,
+        title: document.getElementById('newDocumentTitle').value.trim(),
+        type: document.getElementById('newDocumentType').value,
+        content: '',
+        wordCount: 0,
+        enabled: true,
+        order: maxOrder + 1,
+        created: new Date().toISOString(),
+        updated: new Date().toISOString()
+    };
+
+    documents.push(doc);
+    autoSave();
+    updateDocumentsList();
+    updateProjectsList();
+    closeNewDocumentModal();
+    showToast(`Document "${doc.title}" created!`);
+}
+
+function deleteDocument(id) {
+    const doc = documents.find(d => d.id === id);
+    if (!doc) return;
+
+    if (currentDocumentId === id) {
+        settleGenerationBeforeSwitch();
+    }
+
+    const entry = moveToTrash('document', null, [doc]);
+
+    if (currentDocumentId === id) {
+        currentDocumentId = null;
+        document.getElementById('editor').value = '';
+        document.getElementById('documentInfo').style.display = 'none';
+    }
+
+    autoSave();
+    updateDocumentsList();
+    updateProjectsList();
+    showToast(`"${doc.title}" moved to Trash`, 6000, { label: 'Undo', onClick: () => restoreFromTrash(entry.id) });
+}
+
+function toggleDocument(id) {
+    const doc = documents.find(d => d.id === id);
+    if (!doc) return;
+
+    doc.enabled = !doc.enabled;
+    autoSave();
+    updateDocumentsList();
+    scheduleCostEstimateUpdate();
+}
+
+function openDocumentInEditor(docId) {
+    if (docId !== currentDocumentId) {
+        settleGenerationBeforeSwitch();
+    }
+
+    // Save current document before switching
+    if (currentDocumentId && hasUnsavedChanges) {
+        saveDocument(false);
+    }
+
+    currentDocumentId = docId;
+    settings.lastDocumentId = docId;
+    autoSave();
+    loadDocumentToEditor();
+}
+
+function loadDocumentToEditor() {
+    const doc = documents.find(d => d.id === currentDocumentId);
+    if (!doc) return;
+
+    preserveConflictedText();
+
+    quillEditor.root.innerHTML = doc.content || '';
+    document.getElementById('documentTitle').textContent = doc.title;
+    document.getElementById('documentType').textContent = doc.type;
+    document.getElementById('documentWordCount').textContent = `${doc.wordCount || 0} words`;
+    document.getElementById('documentInfo').style.display = 'block';
+    
+    // Update dropdowns
+    document.getElementById('projectSelect').value = doc.projectId;
+    currentProjectId = doc.projectId;
+    
+    hasUnsavedChanges = false;
+    updateWordCount();
+    updateDocumentsList();
+    updateCostEstimate();
+}
+
+function saveDocument(showNotification = true) {
+    if (!currentDocumentId) {
+        if (showNotification) {
+            showToast('No document selected');
+        }
+        return;
+    }
+
+    const doc = documents.find(d => d.id === currentDocumentId);
+    if (!doc) return;
+
+    // The editor holds an inline diff until the rewrite is reviewed
+    if (pendingRewrite) {
+        if (showNotification) {
+            showToast('Accept or reject the rewrite before saving');
+        }
+        return;
+    }
+
+    if (syncConflict?.docId === doc.id) {
+        if (showNotification) {
+            showToast('Choose which version to keep first');
+        }
+        return;
+    }
+
+    const wordCount = countWords(quillEditor.getText());
+    maybeAutoSnapshot(doc, wordCount);
+
+    doc.content = quillEditor.root.innerHTML;
+    doc.wordCount = wordCount;
+    doc.updated = new Date().toISOString();
+
+    autoSave();
+    hasUnsavedChanges = false;
+    indexDocument(doc, quillEditor.getText());
+    scheduleChapterSummary(doc);
+    
+    if (showNotification) {
+        showToast('Document saved! 💾');
+    }
+    
+    updateWordCount();
+    updateProjectsList();
+    updateDocumentsList();
+}
+
+function clearEditor() {
+    if (!confirm('Clear the editor? Unsaved changes will be lost.')) return;
+    if (currentDocumentId) {
+        takeLocalBackup(`Before clearing "${documents.find(d => d.id === currentDocumentId)?.title}"`);
+    }
+    quillEditor.setText('');
+    hasUnsavedChanges = false;
+    updateWordCount();
+}
+
+function updateDocumentsList() {
+    const container = document.getElementById('documentsList');
+
+    // The lorebook and chat tabs follow the current project too
+    updateLorebookList();
+    syncChatToProject();
+    
+    if (!currentProjectId) {
+        container.innerHTML = '<p style="text-align:center; color:#999; padding:20px;">Select a project to manage documents</p>';
+        return;
+    }
+
+    let projectDocs = documents.filter(d => d.projectId === currentProjectId);
+
+    if (projectDocs.length === 0) {
+        container.innerHTML = '<p style="text-align:center; color:#999; padding:20px;">No documents yet. Create one to get started!</p>';
+        return;
+    }
+
+    // Ensure all documents have an order property
+    projectDocs.forEach((doc, index) => {
+        if (doc.order === undefined) {
+            doc.order = index;
+        }
+    });
+
+    // Sort ONLY by order (no grouping)
+    projectDocs.sort((a, b) => a.order - b.order);
+
+    let html = '';
+    projectDocs.forEach(doc => {
+        const isActive = doc.id === currentDocumentId;
+        html += `
+            <div class="document-card ${doc.enabled ? 'enabled' : 'disabled'} ${isActive ? 'active-doc' : ''}" 
+                 draggable="true" 
+                 data-doc-id="${doc.id}"
+                 ondragstart="handleDragStart(event)" 
+                 ondragover="handleDragOver(event)" 
+                 ondrop="handleDrop(event)" 
+                 ondragend="handleDragEnd(event)"
+                 onclick="openDocumentInEditor(${doc.id})">
+                <div class="document-header">
+                    <div class="drag-handle" title="Drag to reorder">⋮⋮</div>
+                    <label class="toggle-container" onclick="event.stopPropagation();">
+                        <input type="checkbox" ${doc.enabled ? 'checked' : ''} onchange="toggleDocument(${doc.id})">
+                        <span class="toggle-slider"></span>
+                    </label>
+                    <div class="document-title">
+                        <h4><span class="doc-type-icon">${getTypeIcon(doc.type)}</span> ${doc.title}</h4>
+                        <span class="document-meta">${doc.wordCount || 0} words • ${doc.type}${doc.summary ? ' • 📝 summarized' : ''}</span>
+                    </div>
+                    <div class="document-actions">
+                        ${doc.type === 'Chapter' ? `<button class="icon-btn" onclick="event.stopPropagation(); openSummaryModal(${doc.id})" title="Chapter summary">📝</button>` : ''}
+                        <button class="icon-btn delete-icon" onclick="event.stopPropagation(); deleteDocument(${doc.id})" title="Delete">🗑️</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    });
+
+    container.innerHTML = html;
+}
+
+// Drag and Drop handlers
+function handleDragStart(e) {
+    draggedElement = e.target.closest('.document-card');
+    if (!draggedElement) return;
+    
+    draggedElement.style.opacity = '0.4';
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/html', draggedElement.innerHTML);
+}
+
+function handleDragOver(e) {
+    if (e.preventDefault) {
+        e.preventDefault();
+    }
+    e.dataTransfer.dropEffect = 'move';
+    
+    const target = e.target.closest('.document-card');
+    if (target && target !== draggedElement) {
+        const rect = target.getBoundingClientRect();
+        const midpoint = rect.top + rect.height / 2;
+        
+        // Clear all borders first
+        document.querySelectorAll('.document-card').forEach(card => {
+            card.style.borderTop = '';
+            card.style.borderBottom = '';
+        });
+        
+        if (e.clientY < midpoint) {
+            target.style.borderTop = '3px solid var(--accent-primary)';
+        } else {
+            target.style.borderBottom = '3px solid var(--accent-primary)';
+        }
+    }
+    
+    return false;
+}
+
+function handleDrop(e) {
+    if (e.stopPropagation) {
+        e.stopPropagation();
+    }
+    
+    const target = e.target.closest('.document-card');
+    if (draggedElement && target && draggedElement !== target) {
+        const draggedId = parseInt(draggedElement.dataset.docId);
+        const targetId = parseInt(target.dataset.docId);
+        
+        const draggedDoc = documents.find(d => d.id === draggedId);
+        const targetDoc = documents.find(d => d.id === targetId);
+        
+        if (draggedDoc && targetDoc && draggedDoc.projectId === targetDoc.projectId) {
+            // Get all docs in this project sorted by current order
+            const projectDocs = documents
+                .filter(d => d.projectId === draggedDoc.projectId)
+                .sort((a, b) => (a.order || 0) - (b.order || 0));
+            
+            // Find current positions
+            const draggedIndex = projectDocs.findIndex(d => d.id === draggedId);
+            const targetIndex = projectDocs.findIndex(d => d.id === targetId);
+            
+            // Remove dragged doc
+            const [removed] = projectDocs.splice(draggedIndex, 1);
+            
+            // Determine insert position based on mouse position
+            const rect = target.getBoundingClientRect();
+            const midpoint = rect.top + rect.height / 2;
+            let insertIndex = targetIndex;
+            
+            // If dragging from above to below, adjust index
+            if (draggedIndex < targetIndex) {
+                insertIndex = e.clientY < midpoint ? targetIndex - 1 : targetIndex;
+            } else {
+                insertIndex = e.clientY < midpoint ? targetIndex : targetIndex + 1;
+            }
+            
+            // Insert at new position
+            projectDocs.splice(insertIndex, 0, removed);
+            
+            // Reassign orders
+            projectDocs.forEach((doc, index) => {
+                doc.order = index;
+            });
+            
+            autoSave();
+            updateDocumentsList();
+        }
+    }
+    
+    // Clear border indicators
+    document.querySelectorAll('.document-card').forEach(card => {
+        card.style.borderTop = '';
+        card.style.borderBottom = '';
+    });
+    
+    return false;
+}
+
+function handleDragEnd(e) {
+    if (draggedElement) {
+        draggedElement.style.opacity = '1';
+    }
+    
+    // Clear all border indicators
+    document.querySelectorAll('.document-card').forEach(card => {
+        card.style.borderTop = '';
+        card.style.borderBottom = '';
+    });
+    
+    draggedElement = null;
 }
 
 function getTypeIcon(type) {
@@ -967,301 +2872,2962 @@ function getTypeIcon(type) {
         'Notes': '📌',
         'Other': '📄'
     };
-    return icons[type] || '📄';
+    return icons[type] || '📄';
+}
+
+/* ========== TRASH ========== */
+
+// Deleted projects and documents wait here, with their snapshots (and a
+// project's chat threads), until restored or purged after
+// settings.trashRetentionDays (0 keeps them)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function moveToTrash(type, project, docs) {
+    const docIds = docs.map(d => d.id);
+    const entry = {
+        id: Date.now(),
+        type,
+        deletedAt: new Date().toISOString(),
+        project,
+        documents: docs,
+        snapshots: snapshots.filter(s => docIds.includes(s.docId)),
+        chatThreads: project ? chatThreads.filter(t => t.projectId === project.id) : []
+    };
+
+    trash.push(entry);
+    deleteDocumentSnapshots(docIds);
+    if (project) {
+        projects = projects.filter(p => p.id !== project.id);
+        chatThreads = chatThreads.filter(t => t.projectId !== project.id);
+    }
+    documents = documents.filter(d => !docIds.includes(d.id));
+
+    return entry;
+}
+
+function getTrashTitle(entry) {
+    return entry.type === 'project' ? entry.project.title : entry.documents[0].title;
+}
+
+// Puts a project or document back where it was. Items that took its place
+// in the meantime move down one.
+function restoreFromTrash(id) {
+    const entry = trash.find(e => e.id === id);
+    if (!entry) return;
+
+    if (entry.type === 'project') {
+        const { project } = entry;
+        projects.filter(p => (p.order || 0) >= (project.order || 0)).forEach(p => p.order = (p.order || 0) + 1);
+        projects.push(project);
+    } else {
+        const doc = entry.documents[0];
+        if (!projects.some(p => p.id === doc.projectId)) {
+            const trashedProject = trash.find(e => e.type === 'project' && e.project.id === doc.projectId);
+            showToast(trashedProject
+                ? `Restore the project "${trashedProject.project.title}" first`
+                : 'The project this document belonged to no longer exists', 4000);
+            return;
+        }
+        documents
+            .filter(d => d.projectId === doc.projectId && (d.order || 0) >= (doc.order || 0))
+            .forEach(d => d.order = (d.order || 0) + 1);
+    }
+
+    documents.push(...entry.documents);
+    snapshots.push(...entry.snapshots);
+    // Entries trashed before threads were kept with their project have none
+    chatThreads.push(...(entry.chatThreads || []));
+    trash = trash.filter(e => e.id !== id);
+
+    autoSave();
+    updateProjectsList();
+    updateProjectDropdown();
+    updateDocumentsList();
+    if (document.getElementById('trashModal').style.display === 'flex') renderTrashList();
+
+    showToast(`"${getTrashTitle(entry)}" restored ↩️`);
+}
+
+function purgeExpiredTrash() {
+    const days = settings.trashRetentionDays;
+    if (!days) return;
+
+    const cutoff = Date.now() - days * DAY_MS;
+    const kept = trash.filter(entry => new Date(entry.deletedAt).getTime() >= cutoff);
+    if (kept.length !== trash.length) {
+        trash = kept;
+        autoSave();
+    }
+}
+
+function openTrashModal() {
+    purgeExpiredTrash();
+    document.getElementById('trashRetention').value = settings.trashRetentionDays;
+    renderTrashList();
+    document.getElementById('trashModal').style.display = 'flex';
+}
+
+function closeTrashModal() {
+    document.getElementById('trashModal').style.display = 'none';
+}
+
+function renderTrashList() {
+    const container = document.getElementById('trashList');
+
+    if (trash.length === 0) {
+        container.innerHTML = '<p class="settings-hint">The Trash is empty.</p>';
+        return;
+    }
+
+    container.innerHTML = [...trash]
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+        .map(entry => {
+            let detail;
+            if (entry.type === 'project') {
+                const threadCount = (entry.chatThreads || []).length;
+                detail = `Project • ${entry.documents.length} document${entry.documents.length === 1 ? '' : 's'}` +
+                    (threadCount > 0 ? ` • ${threadCount} chat thread${threadCount === 1 ? '' : 's'}` : '');
+            } else {
+                const doc = entry.documents[0];
+                const project = projects.find(p => p.id === doc.projectId)
+                    || trash.find(e => e.type === 'project' && e.project.id === doc.projectId)?.project;
+                detail = `${doc.type}${project ? ` in ${escapeHtml(project.title)}` : ''}`;
+            }
+
+            const expires = settings.trashRetentionDays
+                ? ` • deleted for good in ${Math.max(0, Math.ceil((new Date(entry.deletedAt).getTime() + settings.trashRetentionDays * DAY_MS - Date.now()) / DAY_MS))} days`
+                : '';
+
+            return `
+                <div class="trash-item">
+                    <div class="trash-item-info">
+                        <div class="trash-item-title">${entry.type === 'project' ? '📖' : getTypeIcon(entry.documents[0].type)} ${escapeHtml(getTrashTitle(entry))}</div>
+                        <div class="trash-item-meta">${detail} • deleted ${new Date(entry.deletedAt).toLocaleString()}${expires}</div>
+                    </div>
+                    <button onclick="restoreFromTrash(${entry.id})" class="secondary-btn">↩️ Restore</button>
+                    <button onclick="deleteFromTrash(${entry.id})" class="secondary-btn">✕</button>
+                </div>
+            `;
+        }).join('');
+}
+
+function deleteFromTrash(id) {
+    const entry = trash.find(e => e.id === id);
+    if (!entry) return;
+    if (!confirm(`Permanently delete "${getTrashTitle(entry)}"? This cannot be undone.`)) return;
+
+    trash = trash.filter(e => e.id !== id);
+    autoSave();
+    renderTrashList();
+}
+
+function emptyTrash() {
+    if (trash.length === 0) return;
+    if (!confirm(`Permanently delete all ${trash.length} item(s) in the Trash? This cannot be undone.`)) return;
+
+    trash = [];
+    autoSave();
+    renderTrashList();
+    showToast('Trash emptied');
+}
+
+function setTrashRetention(days) {
+    settings.trashRetentionDays = parseInt(days);
+    purgeExpiredTrash();
+    autoSave();
+    renderTrashList();
+}
+
+/* ========== WORD COUNT ========== */
+
+function countWords(text) {
+    if (!text || text.trim() === '') return 0;
+    return text.trim().split(/\s+/).length;
+}
+
+function updateWordCount() {
+    const text = quillEditor.getText();
+    const words = countWords(text);
+    document.getElementById('wordCount').textContent = words.toLocaleString();
+    
+    if (currentDocumentId) {
+        document.getElementById('documentWordCount').textContent = `${words.toLocaleString()} words`;
+    }
+}
+
+/* ========== REVISION HISTORY ========== */
+
+// Saves snapshot the version they replace when enough time has passed since
+// the document's last snapshot or the word count moved a lot (a Clear, a
+// big paste, losing half the text), so an accidental overwrite can always
+// be undone
+const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+const SNAPSHOT_CHANGE_WORDS = 200;
+// Automatic snapshots kept per document; named ones are kept until deleted
+const SNAPSHOT_MAX_AUTO = 50;
+
+// Snapshot shown in the history dialog, or null for the current version
+let selectedSnapshotId = null;
+
+function getDocumentSnapshots(docId) {
+    return snapshots
+        .filter(s => s.docId === docId)
+        .sort((a, b) => new Date(b.created) - new Date(a.created));
+}
+
+// Stores the document's saved content as a snapshot. Automatic snapshots
+// that would repeat the latest one are skipped.
+function createSnapshot(doc, { name = '', note = '' } = {}) {
+    const content = doc.content || '';
+    const latest = getDocumentSnapshots(doc.id)[0];
+    if (!name && (!content || latest?.content === content)) return null;
+
+    const snapshot = {
+        id: Date.now() + Math.random(),
+        docId: doc.id,
+        content,
+        wordCount: doc.wordCount || 0,
+        created: new Date().toISOString(),
+        name,
+        note
+    };
+    snapshots.push(snapshot);
+
+    // Drop the oldest automatic snapshots beyond the limit
+    const autoSnapshots = getDocumentSnapshots(doc.id).filter(s => !s.name);
+    if (autoSnapshots.length > SNAPSHOT_MAX_AUTO) {
+        const dropped = new Set(autoSnapshots.slice(SNAPSHOT_MAX_AUTO).map(s => s.id));
+        snapshots = snapshots.filter(s => !dropped.has(s.id));
+    }
+
+    return snapshot;
+}
+
+// Called by saveDocument before the new content replaces the old
+function maybeAutoSnapshot(doc, newWordCount) {
+    const latest = getDocumentSnapshots(doc.id)[0];
+    const elapsed = latest ? Date.now() - new Date(latest.created).getTime() : Infinity;
+    const changed = Math.abs(newWordCount - (doc.wordCount || 0));
+    const bigChange = changed >= SNAPSHOT_CHANGE_WORDS || newWordCount < (doc.wordCount || 0) / 2;
+
+    if (elapsed >= SNAPSHOT_INTERVAL_MS || bigChange) {
+        createSnapshot(doc, { note: bigChange ? `Before a ${changed.toLocaleString()}-word change` : '' });
+    }
+}
+
+function deleteDocumentSnapshots(docIds) {
+    snapshots = snapshots.filter(s => !docIds.includes(s.docId));
+}
+
+function getSnapshotText(content) {
+    return loadIntoScratchQuill({ content }).getText();
+}
+
+function openHistoryModal() {
+    if (!currentDocumentId) {
+        showToast('Please select a document first');
+        return;
+    }
+
+    selectedSnapshotId = null;
+    renderHistoryList();
+    renderSnapshotDiff();
+    document.getElementById('historyModal').style.display = 'flex';
+}
+
+function closeHistoryModal() {
+    document.getElementById('historyModal').style.display = 'none';
+}
+
+function takeNamedSnapshot() {
+    const doc = documents.find(d => d.id === currentDocumentId);
+    if (!doc) return;
+
+    const name = prompt('Name this snapshot:', `Snapshot ${new Date().toLocaleString()}`);
+    if (!name || !name.trim()) return;
+
+    if (hasUnsavedChanges) saveDocument(false);
+    if (pendingRewrite) {
+        showToast('Accept or reject the rewrite first');
+        return;
+    }
+
+    createSnapshot(doc, { name: name.trim() });
+    autoSave();
+    renderHistoryList();
+    showToast('Snapshot saved! 📸');
+}
+
+function formatWordDelta(delta) {
+    if (delta === 0) return '±0';
+    return `${delta > 0 ? '+' : '−'}${Math.abs(delta).toLocaleString()}`;
+}
+
+function renderHistoryList() {
+    const doc = documents.find(d => d.id === currentDocumentId);
+    const list = getDocumentSnapshots(currentDocumentId);
+    const container = document.getElementById('historyList');
+
+    document.getElementById('historyModalTitle').textContent = `🕘 History: ${doc.title}`;
+
+    const currentWords = hasUnsavedChanges ? countWords(quillEditor.getText()) : (doc.wordCount || 0);
+    const rows = [{ id: null, label: 'Current version', wordCount: currentWords, created: doc.updated }, ...list.map(s => ({
+        id: s.id,
+        label: s.name || s.note || 'Automatic snapshot',
+        named: !!s.name,
+        wordCount: s.wordCount,
+        created: s.created
+    }))];
+
+    container.innerHTML = rows.map((row, i) => {
+        const older = rows[i + 1];
+        const delta = older ? `<span class="history-delta ${row.wordCount >= older.wordCount ? 'grew' : 'shrank'}">${formatWordDelta(row.wordCount - older.wordCount)}</span>` : '';
+        return `
+            <div class="history-item ${row.id === selectedSnapshotId ? 'selected' : ''}" onclick="selectSnapshot(${row.id})">
+                <div class="history-item-label">${row.named ? '📸 ' : ''}${escapeHtml(row.label)}</div>
+                <div class="history-item-meta">${new Date(row.created).toLocaleString()} • ${row.wordCount.toLocaleString()} words ${delta}</div>
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('historySnapshotCount').textContent = list.length === 0
+        ? 'No snapshots yet. They are taken as you save.'
+        : `${list.length} snapshot${list.length === 1 ? '' : 's'}`;
+}
+
+function selectSnapshot(id) {
+    selectedSnapshotId = id;
+    renderHistoryList();
+    renderSnapshotDiff();
+}
+
+// The selected snapshot against the current version, side by side
+function renderSnapshotDiff() {
+    const snapshot = snapshots.find(s => s.id === selectedSnapshotId);
+    const oldPane = document.getElementById('historyOldText');
+    const newPane = document.getElementById('historyNewText');
+    const currentText = quillEditor.getText();
+
+    document.getElementById('historyRestoreBtn').disabled = !snapshot;
+    document.getElementById('historyDeleteBtn').disabled = !snapshot;
+
+    if (!snapshot) {
+        document.getElementById('historyOldLabel').textContent = 'Select a snapshot to compare';
+        oldPane.innerHTML = '';
+        newPane.textContent = currentText;
+        return;
+    }
+
+    document.getElementById('historyOldLabel').textContent = `${snapshot.name || snapshot.note || 'Snapshot'} (${new Date(snapshot.created).toLocaleString()})`;
+
+    const ops = diffWords(getSnapshotText(snapshot.content), currentText);
+    oldPane.innerHTML = ops
+        .filter(op => op.type !== 'insert')
+        .map(op => op.type === 'delete' ? `<del>${escapeHtml(op.text)}</del>` : escapeHtml(op.text))
+        .join('');
+    newPane.innerHTML = ops
+        .filter(op => op.type !== 'delete')
+        .map(op => op.type === 'insert' ? `<ins>${escapeHtml(op.text)}</ins>` : escapeHtml(op.text))
+        .join('');
+}
+
+function restoreSnapshot() {
+    const snapshot = snapshots.find(s => s.id === selectedSnapshotId);
+    const doc = documents.find(d => d.id === currentDocumentId);
+    if (!snapshot || !doc) return;
+
+    if (generatedTextStartIndex !== null || pendingRewrite) {
+        showToast('Accept or reject the pending text in the editor first');
+        return;
+    }
+
+    if (!confirm(`Restore "${snapshot.name || 'this snapshot'}" from ${new Date(snapshot.created).toLocaleString()}? The current version is kept in the history.`)) return;
+
+    if (hasUnsavedChanges) saveDocument(false);
+    createSnapshot(doc, { note: 'Before restore' });
+
+    doc.content = snapshot.content;
+    doc.wordCount = snapshot.wordCount;
+    doc.updated = new Date().toISOString();
+    loadDocumentToEditor();
+
+    autoSave();
+    updateProjectsList();
+    scheduleChapterSummary(doc);
+
+    selectedSnapshotId = null;
+    renderHistoryList();
+    renderSnapshotDiff();
+    showToast('Version restored! ↩️');
+}
+
+function copySnapshotText() {
+    const snapshot = snapshots.find(s => s.id === selectedSnapshotId);
+    const selection = window.getSelection().toString();
+    const text = selection || (snapshot ? getSnapshotText(snapshot.content) : quillEditor.getText());
+
+    navigator.clipboard.writeText(text.trim()).then(() => {
+        showToast(selection ? 'Selection copied! 📋' : 'Version copied! 📋');
+    });
+}
+
+function deleteSnapshot() {
+    const snapshot = snapshots.find(s => s.id === selectedSnapshotId);
+    if (!snapshot) return;
+    if (!confirm('Delete this snapshot?')) return;
+
+    snapshots = snapshots.filter(s => s.id !== snapshot.id);
+    autoSave();
+
+    selectedSnapshotId = null;
+    renderHistoryList();
+    renderSnapshotDiff();
+}
+
+/* ========== SEARCH ========== */
+
+// Inverted index over every document's text. Terms map to the documents and
+// token positions they occur at; positions make phrase search possible and
+// the token offsets give snippets and editor selections.
+// docId -> { updated, text, tokens: [{ term, start, end }] }
+const searchDocs = new Map();
+// term -> Map(docId -> [token positions])
+const searchPostings = new Map();
+
+const SEARCH_SNIPPET_CHARS = 60;
+const SEARCH_SNIPPETS_PER_DOC = 3;
+
+let searchInputTimer = null;
+
+function tokenizeForSearch(text) {
+    const tokens = [];
+    for (const match of text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu)) {
+        tokens.push({ term: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+function removeFromSearchIndex(docId) {
+    const entry = searchDocs.get(docId);
+    if (!entry) return;
+
+    new Set(entry.tokens.map(token => token.term)).forEach(term => {
+        const docsForTerm = searchPostings.get(term);
+        if (!docsForTerm) return;
+        docsForTerm.delete(docId);
+        if (docsForTerm.size === 0) searchPostings.delete(term);
+    });
+    searchDocs.delete(docId);
+}
+
+// text is the document as Quill sees it, so offsets line up with the editor
+function indexDocument(doc, text = getDocumentPlainText(doc)) {
+    removeFromSearchIndex(doc.id);
+
+    const tokens = tokenizeForSearch(text);
+    tokens.forEach((token, position) => {
+        if (!searchPostings.has(token.term)) searchPostings.set(token.term, new Map());
+        const docsForTerm = searchPostings.get(token.term);
+        if (!docsForTerm.has(doc.id)) docsForTerm.set(doc.id, []);
+        docsForTerm.get(doc.id).push(position);
+    });
+
+    searchDocs.set(doc.id, { updated: doc.updated, text, tokens });
+}
+
+// Brings the index in line with `documents`: new or changed documents in
+// scope are (re)indexed and deleted ones dropped. saveDocument keeps the
+// open document current, so this mostly catches changes made elsewhere.
+function ensureSearchIndex(scope = documents) {
+    const ids = new Set(documents.map(d => d.id));
+    [...searchDocs.keys()].filter(id => !ids.has(id)).forEach(removeFromSearchIndex);
+
+    scope.forEach(doc => {
+        if (searchDocs.get(doc.id)?.updated !== doc.updated) {
+            indexDocument(doc);
+        }
+    });
+}
+
+// Splits a query into phrases: "quoted text" is one phrase, every other
+// word is a phrase of one. All phrases must match.
+function parseSearchQuery(query) {
+    const phrases = [];
+    query.replace(/"([^"]*)"|(\S+)/g, (_, quoted, word) => {
+        const terms = tokenizeForSearch(quoted ?? word).map(token => token.term);
+        if (terms.length > 0) phrases.push(terms);
+        return '';
+    });
+    return phrases;
+}
+
+// Matches of one phrase in one document as [{ start, end }]
+function findPhraseInDocument(docId, phrase) {
+    const positions = searchPostings.get(phrase[0])?.get(docId) || [];
+    const { tokens } = searchDocs.get(docId);
+
+    return positions
+        .filter(position => phrase.every((term, offset) => tokens[position + offset]?.term === term))
+        .map(position => ({ start: tokens[position].start, end: tokens[position + phrase.length - 1].end }));
+}
+
+function searchDocuments(query, { projectId = null, types = [] } = {}) {
+    const phrases = parseSearchQuery(query);
+    if (phrases.length === 0) return [];
+
+    ensureSearchIndex();
+
+    const candidates = [...(searchPostings.get(phrases[0][0])?.keys() || [])];
+    const results = [];
+
+    candidates.forEach(docId => {
+        const doc = documents.find(d => d.id === docId);
+        if (!doc) return;
+        if (projectId && doc.projectId !== projectId) return;
+        if (types.length > 0 && !types.includes(doc.type)) return;
+
+        const matches = [];
+        for (const phrase of phrases) {
+            const found = findPhraseInDocument(docId, phrase);
+            if (found.length === 0) return;
+            matches.push(...found);
+        }
+
+        matches.sort((a, b) => a.start - b.start);
+        results.push({ doc, matches });
+    });
+
+    return results.sort((a, b) => b.matches.length - a.matches.length || new Date(b.doc.updated) - new Date(a.doc.updated));
+}
+
+// A stretch of text around a match with every match in it highlighted
+function renderSearchSnippet(text, match, matches) {
+    const from = Math.max(0, match.start - SEARCH_SNIPPET_CHARS);
+    const to = Math.min(text.length, match.end + SEARCH_SNIPPET_CHARS);
+
+    let html = from > 0 ? '…' : '';
+    let cursor = from;
+    matches
+        .filter(m => m.start >= from && m.end <= to)
+        .forEach(m => {
+            if (m.start < cursor) return; // overlaps the previous highlight
+            html += escapeHtml(text.slice(cursor, m.start)) + `<mark>${escapeHtml(text.slice(m.start, m.end))}</mark>`;
+            cursor = m.end;
+        });
+    html += escapeHtml(text.slice(cursor, to)) + (to < text.length ? '…' : '');
+
+    return html.replace(/\s+/g, ' ');
+}
+
+function openSearchModal() {
+    renderSearchTypeFilters();
+    document.getElementById('searchScope').value = currentProjectId ? 'project' : 'all';
+    document.getElementById('searchModal').style.display = 'flex';
+
+    const input = document.getElementById('searchQuery');
+    input.focus();
+    input.select();
+    if (input.value.trim()) runSearch();
+}
+
+function closeSearchModal() {
+    document.getElementById('searchModal').style.display = 'none';
+}
+
+function renderSearchTypeFilters() {
+    const container = document.getElementById('searchTypeFilters');
+    if (container.children.length > 0) return;
+
+    container.innerHTML = Object.keys(DOCUMENT_TYPE_PRIORITY).map(type => `
+        <label class="search-type-chip">
+            <input type="checkbox" value="${type}" onchange="runSearch()">
+            <span>${getTypeIcon(type)} ${type}</span>
+        </label>
+    `).join('');
+}
+
+function scheduleSearch() {
+    clearTimeout(searchInputTimer);
+    searchInputTimer = setTimeout(runSearch, 200);
+}
+
+function runSearch() {
+    const query = document.getElementById('searchQuery').value;
+    const scope = document.getElementById('searchScope').value;
+    const types = [...document.querySelectorAll('#searchTypeFilters input:checked')].map(input => input.value);
+    const summary = document.getElementById('searchSummary');
+    const container = document.getElementById('searchResults');
+
+    if (!query.trim()) {
+        summary.textContent = 'Use "quotes" to search for an exact phrase.';
+        container.innerHTML = '';
+        return;
+    }
+
+    if (scope === 'project' && !currentProjectId) {
+        summary.textContent = 'Select a project, or search all projects.';
+        container.innerHTML = '';
+        return;
+    }
+
+    const results = searchDocuments(query, { projectId: scope === 'project' ? currentProjectId : null, types });
+    const total = results.reduce((sum, result) => sum + result.matches.length, 0);
+    summary.textContent = results.length === 0
+        ? 'No matches.'
+        : `${total.toLocaleString()} match${total === 1 ? '' : 'es'} in ${results.length} document${results.length === 1 ? '' : 's'}`;
+
+    container.innerHTML = results.map(({ doc, matches }) => {
+        const { text } = searchDocs.get(doc.id);
+        const project = projects.find(p => p.id === doc.projectId);
+        return `
+            <div class="search-result">
+                <div class="search-result-header">
+                    <span>${getTypeIcon(doc.type)} <strong>${escapeHtml(doc.title)}</strong></span>
+                    <span class="search-result-meta">${scope === 'all' && project ? `${escapeHtml(project.title)} • ` : ''}${matches.length} match${matches.length === 1 ? '' : 'es'}</span>
+                </div>
+                ${matches.slice(0, SEARCH_SNIPPETS_PER_DOC).map(match => `
+                    <div class="search-snippet" onclick="openSearchResult(${doc.id}, ${match.start}, ${match.end - match.start})">
+                        ${renderSearchSnippet(text, match, matches)}
+                    </div>
+                `).join('')}
+                ${matches.length > SEARCH_SNIPPETS_PER_DOC ? `<div class="search-more">+${matches.length - SEARCH_SNIPPETS_PER_DOC} more</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function openSearchResult(docId, start, length) {
+    closeSearchModal();
+    selectDocumentRange(docId, start, searchDocs.get(docId)?.text.slice(start, start + length) || '');
+}
+
+// Opens a document on the Write tab and selects expectedText at start. If
+// the text has moved since, the nearest occurrence of it is selected instead.
+function selectDocumentRange(docId, start, expectedText) {
+    document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+    document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+    document.querySelector('.tab-btn:first-child').classList.add('active');
+    document.getElementById('write-tab').classList.add('active');
+
+    openDocumentInEditor(docId);
+
+    const text = quillEditor.getText();
+    const length = expectedText.length;
+    let index = start;
+    if (text.slice(start, start + length).toLowerCase() !== expectedText.toLowerCase()) {
+        const lower = text.toLowerCase();
+        const needle = expectedText.toLowerCase();
+        const after = lower.indexOf(needle, start);
+        const before = lower.lastIndexOf(needle, start);
+        index = after === -1 ? before : before === -1 ? after : (after - start < start - before ? after : before);
+        if (index === -1) {
+            showToast('That text is no longer in the document');
+            return;
+        }
+    }
+
+    // The offsets are into getText(), which skips dividers and images
+    const range = createTextRangeMapper(quillEditor)(index, index + length);
+    quillEditor.setSelection(range.index, range.length);
+    scrollEditorToPosition(range.index);
+}
+
+/* ========== RETRIEVAL ========== */
+
+// Chat finds passages relevant to the message with BM25 over overlapping
+// windows of the search index's tokens, so no embedding service is needed
+const RETRIEVAL_PASSAGE_TOKENS = 150;
+const RETRIEVAL_PASSAGE_STRIDE = 100;
+const RETRIEVAL_TOP_K = 6;
+// Share of the context window (after the reply) passages may take
+const RETRIEVAL_SHARE = 0.25;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RETRIEVAL_STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'does', 'for', 'from',
+    'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me',
+    'my', 'of', 'on', 'or', 'she', 'so', 'that', 'the', 'their', 'them', 'they', 'this', 'to',
+    'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you'
+]);
+
+// docId -> { entry, passages }, rebuilt whenever the document is reindexed
+const passageCache = new Map();
+
+// Overlapping windows of a document's tokens with their term frequencies
+function getDocumentPassages(doc) {
+    const entry = searchDocs.get(doc.id);
+    const cached = passageCache.get(doc.id);
+    if (cached?.entry === entry) return cached.passages;
+
+    const passages = [];
+    for (let from = 0; from < entry.tokens.length; from += RETRIEVAL_PASSAGE_STRIDE) {
+        const window = entry.tokens.slice(from, from + RETRIEVAL_PASSAGE_TOKENS);
+        const termCounts = new Map();
+        window.forEach(token => termCounts.set(token.term, (termCounts.get(token.term) || 0) + 1));
+
+        passages.push({ doc, start: window[0].start, end: window[window.length - 1].end, termCounts, length: window.length });
+        if (from + RETRIEVAL_PASSAGE_TOKENS >= entry.tokens.length) break;
+    }
+
+    passageCache.set(doc.id, { entry, passages });
+    return passages;
+}
+
+// The best passages for a query in one project, as many as fit tokenLimit.
+// Each is { docId, title, type, start, text } with start an editor offset.
+function retrievePassages(query, projectId, tokenLimit) {
+    const terms = [...new Set(tokenizeForSearch(query).map(token => token.term))]
+        .filter(term => !RETRIEVAL_STOPWORDS.has(term));
+    if (terms.length === 0 || tokenLimit <= 0) return [];
+
+    const projectDocs = documents.filter(d => d.projectId === projectId);
+    ensureSearchIndex(projectDocs);
+    [...passageCache.keys()].filter(id => !searchDocs.has(id)).forEach(id => passageCache.delete(id));
+
+    const passages = projectDocs.flatMap(getDocumentPassages);
+    if (passages.length === 0) return [];
+
+    const averageLength = passages.reduce((sum, passage) => sum + passage.length, 0) / passages.length;
+    const idf = new Map(terms.map(term => {
+        const containing = passages.filter(passage => passage.termCounts.has(term)).length;
+        return [term, Math.log(1 + (passages.length - containing + 0.5) / (containing + 0.5))];
+    }));
+
+    const ranked = passages
+        .map(passage => {
+            const score = terms.reduce((sum, term) => {
+                const count = passage.termCounts.get(term) || 0;
+                const norm = BM25_K1 * (1 - BM25_B + BM25_B * passage.length / averageLength);
+                return sum + idf.get(term) * (count * (BM25_K1 + 1)) / (count + norm);
+            }, 0);
+            return { passage, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    // Windows overlap, so skip any that overlaps a passage already picked
+    const picked = [];
+    let tokens = 0;
+    for (const { passage } of ranked) {
+        if (picked.length >= RETRIEVAL_TOP_K) break;
+        if (picked.some(p => p.docId === passage.doc.id && p.start < passage.end && passage.start < p.start + p.text.length)) continue;
+
+        const text = searchDocs.get(passage.doc.id).text.slice(passage.start, passage.end);
+        const cost = estimateTokens(text) + estimateTokens(passage.doc.title) + 10;
+        if (tokens + cost > tokenLimit) break;
+
+        tokens += cost;
+        picked.push({ docId: passage.doc.id, title: passage.doc.title, type: passage.doc.type, start: passage.start, text });
+    }
+
+    return picked;
+}
+
+function formatRetrievedPassages(passages) {
+    if (passages.length === 0) return '';
+    return '\n\nRelevant passages from the manuscript. When you use one, cite it by its number, like [1]:\n' +
+        passages.map((passage, i) => `[${i + 1}] ${passage.type}: ${passage.title}\n${passage.text}`).join('\n\n');
+}
+
+// Turns [n] in a reply into links to the cited passage
+function linkCitations(text, citations = []) {
+    if (citations.length === 0) return text;
+    return text.replace(/\[(\d{1,2})\](?![(:])/g, (token, n) =>
+        citations[n - 1] ? `[[${n}]](#citation-${n})` : token);
+}
+
+// Wires up the citation links in a rendered reply and lists the cited sources
+function renderChatCitations(messageDiv, contentDiv, citations = []) {
+    const cited = new Set();
+    contentDiv.querySelectorAll('a[href^="#citation-"]').forEach(link => {
+        const n = Number(link.getAttribute('href').slice('#citation-'.length));
+        cited.add(n);
+        link.className = 'chat-citation';
+        link.title = citations[n - 1].title;
+        link.onclick = (e) => {
+            e.preventDefault();
+            openCitation(citations[n - 1]);
+        };
+    });
+    if (cited.size === 0) return;
+
+    const sources = document.createElement('div');
+    sources.className = 'chat-citations';
+    sources.textContent = '📎';
+    [...cited].sort((a, b) => a - b).forEach(n => {
+        const btn = document.createElement('button');
+        btn.className = 'chat-citation-source';
+        btn.textContent = `[${n}] ${citations[n - 1].title}`;
+        btn.onclick = () => openCitation(citations[n - 1]);
+        sources.appendChild(btn);
+    });
+    messageDiv.appendChild(sources);
+}
+
+function openCitation(citation) {
+    if (!documents.some(d => d.id === citation.docId)) {
+        showToast('That document no longer exists');
+        return;
+    }
+    selectDocumentRange(citation.docId, citation.start, citation.text);
+}
+
+/* ========== FIND AND REPLACE ========== */
+
+const REPLACE_CONTEXT_CHARS = 40;
+const REPLACE_MAX_LISTED = 1000;
+
+// [{ doc, text, matches: [{ start, end, replacement, selected }] }] from the last Find
+let replaceResults = [];
+// Contents of every document before the last replace, so it can be undone as a whole
+let lastReplaceBatch = null;
+
+function openReplaceModal() {
+    renderReplaceTypeFilters();
+
+    const selection = currentDocumentId ? quillEditor.getSelection() : null;
+    if (selection && selection.length > 0) {
+        const selected = quillEditor.getText(selection.index, selection.length);
+        if (!selected.includes('\n')) document.getElementById('findText').value = selected;
+    }
+
+    document.getElementById('replaceScope').value = currentDocumentId ? 'document' : 'project';
+    updateReplaceScope();
+    updateUndoReplaceButton();
+    document.getElementById('replaceModal').style.display = 'flex';
+    document.getElementById('findText').focus();
+}
+
+function closeReplaceModal() {
+    document.getElementById('replaceModal').style.display = 'none';
+}
+
+function renderReplaceTypeFilters() {
+    const container = document.getElementById('replaceTypeFilters');
+    if (container.children.length > 0) return;
+
+    container.innerHTML = Object.keys(DOCUMENT_TYPE_PRIORITY).map(type => `
+        <label class="search-type-chip">
+            <input type="checkbox" value="${type}" ${type === 'Chapter' ? 'checked' : ''}>
+            <span>${getTypeIcon(type)} ${type}</span>
+        </label>
+    `).join('');
+}
+
+function updateReplaceScope() {
+    const scope = document.getElementById('replaceScope').value;
+    document.getElementById('replaceTypeFilters').style.display = scope === 'types' ? 'flex' : 'none';
+}
+
+function updateUndoReplaceButton() {
+    document.getElementById('undoReplaceBtn').style.display = lastReplaceBatch ? 'inline-block' : 'none';
+}
+
+// Documents the current scope covers, in project order
+function getReplaceScopeDocuments() {
+    const scope = document.getElementById('replaceScope').value;
+
+    if (scope === 'document') {
+        const doc = documents.find(d => d.id === currentDocumentId);
+        return doc ? [doc] : [];
+    }
+
+    const types = [...document.querySelectorAll('#replaceTypeFilters input:checked')].map(input => input.value);
+    return documents
+        .filter(d => d.projectId === currentProjectId)
+        .filter(d => scope !== 'types' || types.includes(d.type))
+        .sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+// The Find field as a global RegExp. Throws SyntaxError for a bad pattern.
+function buildFindPattern() {
+    const find = document.getElementById('findText').value;
+    const useRegex = document.getElementById('findRegex').checked;
+    const wholeWord = document.getElementById('findWholeWord').checked;
+    const caseSensitive = document.getElementById('findCaseSensitive').checked;
+
+    let source = useRegex ? find : escapeRegExp(find);
+    if (wholeWord) source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+
+    return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+}
+
+// Expands $&, $1…$99, $<name> and $$ in a regex replacement
+function expandReplacement(template, match) {
+    return template.replace(/\$(\$|&|\d{1,2}|<[^>]*>)/g, (token, key) => {
+        if (key === '$') return '$';
+        if (key === '&') return match[0];
+        if (key.startsWith('<')) return match.groups?.[key.slice(1, -1)] ?? '';
+        return match[Number(key)] ?? token;
+    });
+}
+
+function findMatchesInText(text, pattern, replaceWith, useRegex) {
+    const matches = [];
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+        }
+        matches.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            replacement: useRegex ? expandReplacement(replaceWith, match) : replaceWith,
+            selected: true
+        });
+    }
+
+    return matches;
+}
+
+function runFind() {
+    const summary = document.getElementById('replaceSummary');
+    // Re-running keeps matches the user unchecked unchecked
+    const previousSelection = new Map(replaceResults.flatMap(result =>
+        result.matches.map(match => [`${result.doc.id}:${match.start}:${match.end}`, match.selected])));
+    replaceResults = [];
+
+    if (!document.getElementById('findText').value) {
+        summary.textContent = 'Enter the text to find.';
+        renderReplaceResults();
+        return;
+    }
+
+    if (document.getElementById('replaceScope').value === 'document' ? !currentDocumentId : !currentProjectId) {
+        summary.textContent = 'Open a document or select a project first.';
+        renderReplaceResults();
+        return;
+    }
+
+    let pattern;
+    try {
+        pattern = buildFindPattern();
+    } catch (error) {
+        summary.textContent = `Invalid regular expression: ${error.message}`;
+        renderReplaceResults();
+        return;
+    }
+
+    const replaceWith = document.getElementById('replaceText').value;
+    const useRegex = document.getElementById('findRegex').checked;
+
+    getReplaceScopeDocuments().forEach(doc => {
+        const text = getDocumentPlainText(doc);
+        const matches = findMatchesInText(text, pattern, replaceWith, useRegex);
+        matches.forEach(match => match.selected = previousSelection.get(`${doc.id}:${match.start}:${match.end}`) ?? true);
+        if (matches.length > 0) replaceResults.push({ doc, text, matches });
+    });
+
+    renderReplaceResults();
+}
+
+function getSelectedReplaceCount() {
+    return replaceResults.reduce((sum, result) => sum + result.matches.filter(m => m.selected).length, 0);
+}
+
+function updateReplaceSummary() {
+    const total = replaceResults.reduce((sum, result) => sum + result.matches.length, 0);
+    const selected = getSelectedReplaceCount();
+
+    document.getElementById('replaceSummary').textContent = total === 0
+        ? 'No matches.'
+        : `${total.toLocaleString()} match${total === 1 ? '' : 'es'} in ${replaceResults.length} document${replaceResults.length === 1 ? '' : 's'} • ${selected.toLocaleString()} selected`;
+    document.getElementById('replaceAllBtn').disabled = selected === 0;
+}
+
+function renderReplaceResults() {
+    const container = document.getElementById('replaceResults');
+    let listed = 0;
+
+    container.innerHTML = replaceResults.map((result, docIndex) => {
+        const rows = result.matches.map((match, matchIndex) => {
+            if (listed++ >= REPLACE_MAX_LISTED) return '';
+
+            const from = Math.max(0, match.start - REPLACE_CONTEXT_CHARS);
+            const to = Math.min(result.text.length, match.end + REPLACE_CONTEXT_CHARS);
+            const context = `${from > 0 ? '…' : ''}${escapeHtml(result.text.slice(from, match.start))}<del>${escapeHtml(result.text.slice(match.start, match.end))}</del>${match.replacement ? `<ins>${escapeHtml(match.replacement)}</ins>` : ''}${escapeHtml(result.text.slice(match.end, to))}${to < result.text.length ? '…' : ''}`;
+
+            return `
+                <label class="replace-match">
+                    <input type="checkbox" ${match.selected ? 'checked' : ''} onchange="toggleReplaceMatch(${docIndex}, ${matchIndex}, this.checked)">
+                    <span class="replace-context">${context.replace(/\s+/g, ' ')}</span>
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <div class="search-result">
+                <label class="search-result-header">
+                    <span><input type="checkbox" ${result.matches.every(m => m.selected) ? 'checked' : ''} onchange="toggleReplaceDocument(${docIndex}, this.checked)">
+                        ${getTypeIcon(result.doc.type)} <strong>${escapeHtml(result.doc.title)}</strong></span>
+                    <span class="search-result-meta">${result.matches.length} match${result.matches.length === 1 ? '' : 'es'}</span>
+                </label>
+                ${rows}
+            </div>
+        `;
+    }).join('');
+
+    if (listed > REPLACE_MAX_LISTED) {
+        container.insertAdjacentHTML('beforeend', `<div class="search-more">+${(listed - REPLACE_MAX_LISTED).toLocaleString()} more matches not listed (still replaced while their document is checked)</div>`);
+    }
+
+    updateReplaceSummary();
+}
+
+function toggleReplaceMatch(docIndex, matchIndex, selected) {
+    replaceResults[docIndex].matches[matchIndex].selected = selected;
+    updateReplaceSummary();
+}
+
+function toggleReplaceDocument(docIndex, selected) {
+    replaceResults[docIndex].matches.forEach(match => match.selected = selected);
+    renderReplaceResults();
+}
+
+// quill.getText() leaves embeds (dividers, images) out, but editor indices
+// count each of them as one character. Returns a function that turns a
+// [start, end) range of getText() offsets into { index, length } in the
+// editor; an embed sitting where the range starts is kept before it.
+function createTextRangeMapper(quill) {
+    // getText() offset of every embed, in order
+    const embedOffsets = [];
+    let offset = 0;
+    quill.getContents().ops.forEach(op => {
+        if (typeof op.insert === 'string') {
+            offset += op.insert.length;
+        } else {
+            embedOffsets.push(offset);
+        }
+    });
+
+    const countEmbeds = (test) => embedOffsets.filter(test).length;
+    return (start, end) => {
+        const index = start + countEmbeds(at => at <= start);
+        const endIndex = end + countEmbeds(at => at < end);
+        return { index, length: Math.max(endIndex - index, 0) };
+    };
+}
+
+// Replaces the selected matches of text in one delta per document. Each
+// replacement takes the inline formatting of the text it replaces. Returns
+// how many were replaced; a match whose text isn't where it was found is
+// left alone.
+function applyReplacements(quill, matches, text) {
+    const Delta = Quill.import('delta');
+    const delta = new Delta();
+    const toRange = createTextRangeMapper(quill);
+    let cursor = 0;
+    let replaced = 0;
+
+    matches.forEach(match => {
+        const { index, length } = toRange(match.start, match.end);
+        if (quill.getText(index, length) !== text.slice(match.start, match.end)) {
+            console.error('Replace skipped a match that moved:', match);
+            return;
+        }
+
+        const format = pickInlineFormats(quill.getFormat(index, length));
+        delta.retain(index - cursor).delete(length);
+        if (match.replacement) delta.insert(match.replacement, format);
+        cursor = index + length;
+        replaced++;
+    });
+
+    quill.updateContents(delta, 'user');
+    return replaced;
+}
+
+function replaceAll() {
+    const batch = replaceResults
+        .map(result => ({ ...result, matches: result.matches.filter(m => m.selected) }))
+        .filter(result => result.matches.length > 0);
+    if (batch.length === 0) return;
+
+    if (batch.some(result => getDocumentPlainText(result.doc) !== result.text)) {
+        showToast('Documents changed since the search. Run Find again.');
+        return;
+    }
+
+    if (batch.some(result => result.doc.id === currentDocumentId) && (generatedTextStartIndex !== null || pendingRewrite)) {
+        showToast('Accept or reject the pending text in the editor first');
+        return;
+    }
+
+    const selectedCount = batch.reduce((sum, result) => sum + result.matches.length, 0);
+    if (batch.length > 1 && !confirm(`Replace ${selectedCount} matches in ${batch.length} documents?`)) return;
+
+    lastReplaceBatch = batch.map(({ doc }) => ({
+        id: doc.id,
+        content: doc.id === currentDocumentId ? quillEditor.root.innerHTML : doc.content,
+        wordCount: doc.wordCount,
+        updated: doc.updated
+    }));
+
+    let count = 0;
+    batch.forEach(({ doc, text, matches }) => {
+        createSnapshot(doc, { note: 'Before replace' });
+        if (doc.id === currentDocumentId) {
+            count += applyReplacements(quillEditor, matches, text);
+            hasUnsavedChanges = true;
+            saveDocument(false);
+        } else {
+            const quill = loadIntoScratchQuill(doc);
+            count += applyReplacements(quill, matches, text);
+            doc.content = quill.root.innerHTML;
+            doc.wordCount = countWords(quill.getText());
+            doc.updated = new Date().toISOString();
+            scheduleChapterSummary(doc);
+        }
+    });
+
+    // Lets Undo notice documents edited after the replace
+    lastReplaceBatch.forEach(entry => {
+        entry.replacedAt = documents.find(d => d.id === entry.id).updated;
+    });
+
+    autoSave();
+    updateProjectsList();
+    updateDocumentsList();
+    updateUndoReplaceButton();
+    replaceResults = [];
+    runFind();
+
+    showToast(`Replaced ${count} match${count === 1 ? '' : 'es'} in ${batch.length} document${batch.length === 1 ? '' : 's'} ✅`);
+}
+
+function undoLastReplace() {
+    if (!lastReplaceBatch) return;
+
+    const editedSince = lastReplaceBatch.filter(entry => {
+        const doc = documents.find(d => d.id === entry.id);
+        return doc && (doc.updated !== entry.replacedAt || (doc.id === currentDocumentId && hasUnsavedChanges));
+    });
+    if (editedSince.length > 0 && !confirm(`${editedSince.length} document(s) changed after the replace. Undo anyway and lose those changes?`)) {
+        return;
+    }
+
+    lastReplaceBatch.forEach(entry => {
+        const doc = documents.find(d => d.id === entry.id);
+        if (!doc) return;
+
+        doc.content = entry.content;
+        doc.wordCount = entry.wordCount;
+        doc.updated = new Date().toISOString();
+        if (doc.id === currentDocumentId) loadDocumentToEditor();
+    });
+
+    const restored = lastReplaceBatch.length;
+    lastReplaceBatch = null;
+
+    autoSave();
+    updateProjectsList();
+    updateDocumentsList();
+    updateUndoReplaceButton();
+    if (document.getElementById('findText').value) runFind();
+
+    showToast(`Replace undone in ${restored} document${restored === 1 ? '' : 's'}`);
+}
+
+/* ========== AUTO-SAVE TIMER ========== */
+
+function resetAutoSaveTimer() {
+    if (autoSaveTimer) {
+        clearTimeout(autoSaveTimer);
+    }
+    
+    autoSaveTimer = setTimeout(() => {
+        if (hasUnsavedChanges && currentDocumentId) {
+            saveDocument(false);
+        }
+    }, settings.autoSaveInterval);
+}
+
+/* ========== AI PROVIDERS ========== */
+
+// Starting points for the "Add provider" picker in Settings
+const PROVIDER_PRESETS = {
+    ollama: { name: 'Ollama', baseUrl: 'http://localhost:11434/v1', authStyle: 'none', modelsEndpoint: '/models' },
+    lmstudio: { name: 'LM Studio', baseUrl: 'http://localhost:1234/v1', authStyle: 'none', modelsEndpoint: '/models' },
+    llamacpp: { name: 'llama.cpp', baseUrl: 'http://localhost:8080/v1', authStyle: 'none', modelsEndpoint: '/models' },
+    openai: { name: 'OpenAI', baseUrl: 'https://api.openai.com/v1', authStyle: 'bearer', modelsEndpoint: '/models' },
+    custom: { name: 'Custom', baseUrl: 'http://localhost:8000/v1', authStyle: 'bearer', modelsEndpoint: '/models' }
+};
+
+// Model keys are the plain model id for OpenRouter (so existing favorites and
+// lastUsedModel keep working) and "providerId::modelId" for everyone else.
+const MODEL_KEY_SEPARATOR = '::';
+
+function getEnabledProviders() {
+    return settings.providers.filter(p => p.enabled);
+}
+
+function getProvider(providerId) {
+    return settings.providers.find(p => p.id === providerId);
+}
+
+function getModelKey(providerId, modelId) {
+    return providerId === 'openrouter' ? modelId : `${providerId}${MODEL_KEY_SEPARATOR}${modelId}`;
+}
+
+function resolveModel(modelKey) {
+    const model = OPENROUTER_MODELS.find(m => m.key === modelKey);
+    if (model) {
+        return { provider: getProvider(model.providerId), modelId: model.id };
+    }
+
+    const separator = modelKey.indexOf(MODEL_KEY_SEPARATOR);
+    if (separator > -1) {
+        return {
+            provider: getProvider(modelKey.slice(0, separator)),
+            modelId: modelKey.slice(separator + MODEL_KEY_SEPARATOR.length)
+        };
+    }
+
+    return { provider: getProvider('openrouter'), modelId: modelKey };
+}
+
+function getProviderUrl(provider, path) {
+    return provider.baseUrl.replace(/\/+$/, '') + '/' + path.replace(/^\/+/, '');
+}
+
+function getProviderApiKey(providerId) {
+    if (providerId === 'openrouter') return apiKey;
+    return providerKeys[providerId] || null;
+}
+
+function setProviderApiKey(providerId, key) {
+    if (providerId === 'openrouter') {
+        apiKey = key;
+    } else if (key) {
+        providerKeys[providerId] = key;
+    } else {
+        delete providerKeys[providerId];
+    }
+    persistApiKeys();
+}
+
+function buildProviderHeaders(provider, includeContentType = true) {
+    const headers = {};
+    if (includeContentType) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const key = getProviderApiKey(provider.id);
+    if (key) {
+        if (provider.authStyle === 'bearer') {
+            headers['Authorization'] = `Bearer ${key}`;
+        } else if (provider.authStyle === 'x-api-key') {
+            headers['x-api-key'] = key;
+        } else if (provider.authStyle === 'api-key') {
+            headers['api-key'] = key;
+        }
+    }
+
+    if (provider.id === 'openrouter') {
+        headers['HTTP-Referer'] = window.location.origin;
+        headers['X-Title'] = 'Pym Write';
+    }
+
+    return headers;
+}
+
+// Posts a chat/completions request to whichever provider serves requestBody.model
+async function fetchChatCompletion(requestBody, signal) {
+    const { provider, modelId } = resolveModel(requestBody.model);
+    if (!provider) {
+        throw new Error(`No provider configured for model ${requestBody.model}`);
+    }
+
+    const body = { ...requestBody, model: modelId };
+    if (body.stream) {
+        // Ask for the usage block at the end of the stream (OpenAI-compatible servers)
+        body.stream_options = { include_usage: true };
+    }
+    if (provider.id === 'openrouter') {
+        // OpenRouter adds the actual billed cost to the usage block
+        body.usage = { include: true };
+    }
+
+    const response = await fetch(getProviderUrl(provider, '/chat/completions'), {
+        method: 'POST',
+        headers: buildProviderHeaders(provider),
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+    }
+
+    return response;
+}
+
+// Non-streaming completion; resolves with the reply text
+async function requestChatCompletion(requestBody, signal) {
+    const response = await fetchChatCompletion(requestBody, signal);
+    const data = await response.json();
+    recordUsage(requestBody, data.usage, '');
+    return data.choices[0].message.content.trim();
+}
+
+// Gate run before every AI action: the model needs a configured provider,
+// an API key unless the provider is keyless, and room under the monthly cap
+function ensureModelReady() {
+    const problem = getModelProblem(document.getElementById('modelSelect').value);
+    if (problem) {
+        showToast(problem, 5000);
+        return false;
+    }
+    return true;
+}
+
+// Gate run once a request is built: when the reserved response leaves no
+// room in the context window, the prompt would go out without any of the
+// story, so it isn't sent at all
+function ensureWithinBudget(budget) {
+    if (!budget.overBudget) return true;
+    showToast(`"Tokens to Generate" leaves no room for your text in this model's ${budget.contextLength.toLocaleString()}-token context window. Lower it or pick a larger model.`, 6000);
+    return false;
+}
+
+// Why a request to modelKey can't be sent right now, or null if it can.
+// Background jobs use this directly so they skip quietly.
+function getModelProblem(modelKey) {
+    if (!modelKey) {
+        return 'Please select a model first';
+    }
+
+    const { provider } = resolveModel(modelKey);
+    if (!provider) {
+        return 'The provider for this model is not configured';
+    }
+
+    if (provider.authStyle !== 'none' && !getProviderApiKey(provider.id)) {
+        return `Please add an API key for ${provider.name} in Settings`;
+    }
+
+    if (isMonthlyCapReached() && !isModelFree(modelKey)) {
+        return `Monthly spending cap of $${settings.monthlySpendCap.toFixed(2)} reached. Paid models are blocked until next month.`;
+    }
+
+    return null;
+}
+
+function renderProvidersList() {
+    const container = document.getElementById('providersList');
+    if (!container) return;
+
+    container.innerHTML = settings.providers.map(provider => {
+        const hasKey = !!getProviderApiKey(provider.id);
+        const isOpenRouter = provider.id === 'openrouter';
+        return `
+            <div class="provider-card ${provider.enabled ? '' : 'disabled'}">
+                <div class="provider-card-header">
+                    <label class="checkbox-label">
+                        <input type="checkbox" ${provider.enabled ? 'checked' : ''}
+                            onchange="updateProviderField('${provider.id}', 'enabled', this.checked)">
+                        <span>${escapeHtml(provider.name)}</span>
+                    </label>
+                    ${isOpenRouter ? '' : `<button class="icon-btn delete-icon" onclick="removeProvider('${provider.id}')" title="Remove Provider">🗑️</button>`}
+                </div>
+                <div class="provider-fields">
+                    <label>
+                        Base URL:
+                        <input type="text" value="${escapeHtml(provider.baseUrl)}" ${isOpenRouter ? 'disabled' : ''}
+                            onchange="updateProviderField('${provider.id}', 'baseUrl', this.value.trim())">
+                    </label>
+                    <label>
+                        Auth Style:
+                        <select ${isOpenRouter ? 'disabled' : ''} onchange="updateProviderField('${provider.id}', 'authStyle', this.value)">
+                            <option value="bearer" ${provider.authStyle === 'bearer' ? 'selected' : ''}>Authorization: Bearer</option>
+                            <option value="x-api-key" ${provider.authStyle === 'x-api-key' ? 'selected' : ''}>x-api-key header</option>
+                            <option value="api-key" ${provider.authStyle === 'api-key' ? 'selected' : ''}>api-key header</option>
+                            <option value="none" ${provider.authStyle === 'none' ? 'selected' : ''}>None (local server)</option>
+                        </select>
+                    </label>
+                    <label>
+                        Model List Endpoint:
+                        <input type="text" value="${escapeHtml(provider.modelsEndpoint || '/models')}" ${isOpenRouter ? 'disabled' : ''}
+                            onchange="updateProviderField('${provider.id}', 'modelsEndpoint', this.value.trim())">
+                    </label>
+                    ${isOpenRouter || provider.authStyle === 'none' ? '' : `
+                        <label>
+                            API Key:
+                            <input type="password" placeholder="${hasKey ? '•••••••• (saved)' : 'Paste API key'}"
+                                onchange="updateProviderApiKey('${provider.id}', this.value.trim())">
+                        </label>
+                    `}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function addProvider() {
+    const presetId = document.getElementById('providerPresetSelect').value;
+    const preset = PROVIDER_PRESETS[presetId];
+    if (!preset) return;
+
+    // Adding the same preset twice gets a numbered id and name
+    let id = presetId;
+    let suffix = 2;
+    while (getProvider(id)) {
+        id = `${presetId}-${suffix++}`;
+    }
+
+    settings.providers.push({
+        id: id,
+        ...preset,
+        name: id === presetId ? preset.name : `${preset.name} ${suffix - 1}`,
+        enabled: true
+    });
+
+    autoSave();
+    renderProvidersList();
+    showToast(`${preset.name} provider added`);
+}
+
+function removeProvider(providerId) {
+    const provider = getProvider(providerId);
+    if (!provider || providerId === 'openrouter') return;
+
+    if (!confirm(`Remove provider "${provider.name}"?`)) return;
+
+    settings.providers = settings.providers.filter(p => p.id !== providerId);
+    setProviderApiKey(providerId, null);
+
+    autoSave();
+    renderProvidersList();
+    reloadModels();
+}
+
+function updateProviderField(providerId, field, value) {
+    const provider = getProvider(providerId);
+    if (!provider) return;
+
+    provider[field] = value;
+    autoSave();
+    renderProvidersList();
+}
+
+function updateProviderApiKey(providerId, key) {
+    if (!key) return;
+    setProviderApiKey(providerId, key);
+    renderProvidersList();
+    showToast('API key saved!');
+}
+
+async function reloadModels() {
+    modelsLoaded = false;
+    await fetchOpenRouterModels();
+}
+
+/* ========== MODEL SELECTION ========== */
+
+async function fetchOpenRouterModels() {
+    if (modelsLoaded) return;
+
+    const activeProviders = getEnabledProviders();
+    if (activeProviders.length === 1) {
+        showToast(`Loading models from ${activeProviders[0].name}...`);
+    } else if (activeProviders.length > 1) {
+        showToast(`Loading models from ${activeProviders.length} providers...`);
+    }
+
+    // Query every provider in parallel; one unreachable local server shouldn't hide the rest
+    const results = await Promise.allSettled(activeProviders.map(fetchProviderModels));
+
+    OPENROUTER_MODELS = [];
+    const failed = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            OPENROUTER_MODELS.push(...result.value);
+        } else {
+            console.error(`Error fetching models from ${activeProviders[i].name}:`, result.reason);
+            failed.push(activeProviders[i]);
+        }
+    });
+
+    // Fallback to a basic list if OpenRouter itself is unreachable
+    if (failed.some(p => p.id === 'openrouter')) {
+        OPENROUTER_MODELS.push(...[
+            { id: 'anthropic/claude-3.5-sonnet', name: 'Claude 3.5 Sonnet', provider: 'Anthropic', isFree: false },
+            { id: 'openai/gpt-4-turbo', name: 'GPT-4 Turbo', provider: 'OpenAI', isFree: false },
+            { id: 'openai/gpt-3.5-turbo', name: 'GPT-3.5 Turbo', provider: 'OpenAI', isFree: false },
+            { id: 'google/gemini-pro', name: 'Gemini Pro', provider: 'Google', isFree: false },
+            { id: 'meta-llama/llama-3-8b-instruct:free', name: 'Llama 3 8B (Free)', provider: 'Meta', isFree: true }
+        ].map(model => ({ ...model, key: model.id, providerId: 'openrouter', contextLength: 0, pricing: {} })));
+    }
+
+    // Sort models: free first, then by provider
+    OPENROUTER_MODELS.sort((a, b) => {
+        if (a.isFree && !b.isFree) return -1;
+        if (!a.isFree && b.isFree) return 1;
+        return a.provider.localeCompare(b.provider);
+    });
+
+    modelsLoaded = true;
+    populateModelSelect();
+    updateCostEstimate();
+
+    if (failed.length > 0) {
+        showToast(`Failed to load models from ${failed.map(p => p.name).join(', ')}.`);
+    } else {
+        showToast(`Loaded ${OPENROUTER_MODELS.length} models!`);
+    }
+}
+
+// Fetches and normalizes one provider's model list
+async function fetchProviderModels(provider) {
+    const response = await fetch(getProviderUrl(provider, provider.modelsEndpoint || '/models'), {
+        headers: buildProviderHeaders(provider, false)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch models: ${response.status}`);
+    }
+
+    const data = await response.json();
+    // OpenAI-style servers answer { data: [...] }; Ollama's native /api/tags answers { models: [...] }
+    const list = data.data || data.models || [];
+
+    return list.map(model => {
+        const id = model.id || model.name || model.model;
+        const isOpenRouter = provider.id === 'openrouter';
+        return {
+            id: id,
+            key: getModelKey(provider.id, id),
+            providerId: provider.id,
+            name: model.name || id,
+            provider: isOpenRouter ? extractProvider(id) : provider.name,
+            contextLength: model.context_length || model.context_window || 0,
+            pricing: model.pricing || {},
+            // Keyless servers are local, so they never cost anything
+            isFree: model.pricing ? isFreeModel(model.pricing) : provider.authStyle === 'none'
+        };
+    });
+}
+
+function extractProvider(modelId) {
+    const parts = modelId.split('/');
+    if (parts.length > 0) {
+        const provider = parts[0];
+        return provider.charAt(0).toUpperCase() + provider.slice(1);
+    }
+    return 'Unknown';
+}
+
+function isFreeModel(pricing) {
+    if (!pricing) return false;
+    
+    const promptPrice = parseFloat(pricing.prompt) || 0;
+    const completionPrice = parseFloat(pricing.completion) || 0;
+    
+    return promptPrice === 0 && completionPrice === 0;
+}
+
+function populateModelSelect() {
+    const select = document.getElementById('modelSelect');
+    const showFavorites = document.getElementById('showFavoritesOnly')?.checked || false;
+    const showFreeOnly = document.getElementById('showFreeOnly')?.checked || false;
+    
+    if (!modelsLoaded || OPENROUTER_MODELS.length === 0) {
+        select.innerHTML = '<option value="">Loading models...</option>';
+        return;
+    }
+    
+    select.innerHTML = '';
+    
+    let modelsToShow = OPENROUTER_MODELS;
+    
+    if (showFavorites) {
+        modelsToShow = modelsToShow.filter(m => settings.favoriteModels.includes(m.key));
+    }
+    
+    if (showFreeOnly) {
+        modelsToShow = modelsToShow.filter(m => m.isFree);
+    }
+
+    if (modelsToShow.length === 0) {
+        select.innerHTML = '<option value="">No models match filters</option>';
+        return;
+    }
+
+    const openRouterModels = modelsToShow.filter(m => m.providerId === 'openrouter');
+    const freeModels = openRouterModels.filter(m => m.isFree);
+    const paidModels = openRouterModels.filter(m => !m.isFree);
+
+    appendModelGroup(select, '🆓 Free Models', freeModels);
+    appendModelGroup(select, '💳 Paid Models', paidModels);
+
+    // Every other provider gets its own group
+    getEnabledProviders()
+        .filter(provider => provider.id !== 'openrouter')
+        .forEach(provider => {
+            const providerModels = modelsToShow.filter(m => m.providerId === provider.id);
+            appendModelGroup(select, `🖥️ ${provider.name}`, providerModels);
+        });
+    
+    // Set saved model
+    if (settings.lastUsedModel) {
+        select.value = settings.lastUsedModel;
+    }
+    
+    updateFavoriteButton();
+}
+
+function appendModelGroup(select, label, models) {
+    if (models.length === 0) return;
+
+    const group = document.createElement('optgroup');
+    group.label = label;
+    models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model.key;
+        option.textContent = `${model.name} (${model.provider})`;
+        group.appendChild(option);
+    });
+    select.appendChild(group);
+}
+
+function toggleFavoriteModel() {
+    const modelId = document.getElementById('modelSelect').value;
+    if (!modelId) return;
+
+    const index = settings.favoriteModels.indexOf(modelId);
+    if (index > -1) {
+        settings.favoriteModels.splice(index, 1);
+        showToast('Removed from favorites');
+    } else {
+        settings.favoriteModels.push(modelId);
+        showToast('Added to favorites ⭐');
+    }
+
+    autoSave();
+    updateFavoriteButton();
+}
+
+function updateFavoriteButton() {
+    const modelId = document.getElementById('modelSelect').value;
+    const btn = document.getElementById('favoriteBtn');
+    if (!btn) return;
+
+    if (settings.favoriteModels.includes(modelId)) {
+        btn.textContent = '⭐';
+        btn.title = 'Remove from favorites';
+    } else {
+        btn.textContent = '☆';
+        btn.title = 'Add to favorites';
+    }
+}
+
+function toggleFavoritesFilter() {
+    populateModelSelect();
+}
+
+/* ========== AI FUNCTIONS ========== */
+
+// Default prompts
+const DEFAULT_SYSTEM_PROMPT = `You are a creative writing assistant helping to continue a story. 
+{CONTEXT_NOTES}
+{STORY_SO_FAR}
+{DOCUMENTS_CONTEXT}
+
+Generate approximately {TOKENS_TO_GENERATE} tokens that naturally continue the narrative. Match the writing style, tone, and voice of the existing text. Do not repeat content from the existing text.`;
+
+const DEFAULT_USER_PROMPT = `Here is the story so far:\n\n{RECENT_TEXT}\n\nPlease continue the story naturally from where it left off.`;
+
+function getSystemPrompt(tokensToGenerate, contextNotes, documentsContext, storySoFar = '') {
+    let prompt = settings.customSystemPrompt || DEFAULT_SYSTEM_PROMPT;
+    
+    prompt = prompt.replace('{TOKENS_TO_GENERATE}', tokensToGenerate);
+    prompt = prompt.replace('{STORY_SO_FAR}', storySoFar);
+    
+    if (contextNotes) {
+        prompt = prompt.replace('{CONTEXT_NOTES}', `\n\nContext about the story:\n${contextNotes}`);
+    } else {
+        prompt = prompt.replace('{CONTEXT_NOTES}', '');
+    }
+    
+    if (documentsContext) {
+        prompt = prompt.replace('{DOCUMENTS_CONTEXT}', documentsContext);
+    } else {
+        prompt = prompt.replace('{DOCUMENTS_CONTEXT}', '');
+    }
+    
+    return prompt;
+}
+
+function getUserPrompt(recentText) {
+    let prompt = settings.customUserPrompt || DEFAULT_USER_PROMPT;
+    prompt = prompt.replace('{RECENT_TEXT}', recentText);
+    return prompt;
+}
+
+/* ========== USAGE & COST ========== */
+
+// Pricing for a model as USD per token, or null when the provider doesn't report it
+function getModelPricing(modelKey) {
+    const model = OPENROUTER_MODELS.find(m => m.key === modelKey);
+    if (!model) return null;
+    if (model.isFree) return { prompt: 0, completion: 0 };
+    if (model.pricing?.prompt === undefined) return null;
+    return {
+        prompt: parseFloat(model.pricing.prompt) || 0,
+        completion: parseFloat(model.pricing.completion) || 0
+    };
+}
+
+function isModelFree(modelKey) {
+    const pricing = getModelPricing(modelKey);
+    return pricing !== null && pricing.prompt === 0 && pricing.completion === 0;
+}
+
+function estimatePromptTokens(requestBody) {
+    return requestBody.messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+}
+
+// Actions that send one request per alternative (settings.alternativesCount)
+const ALTERNATIVE_ACTIONS = ['cursor', 'bridge', 'go'];
+
+function getRequestCopies(action) {
+    return ALTERNATIVE_ACTIONS.includes(action) ? Math.max(1, settings.alternativesCount || 1) : 1;
+}
+
+// Estimated prompt tokens plus the cost range for a request sent copies
+// times: the prompt is billed in full, the completion anywhere up to max_tokens
+function estimateRequestCost(requestBody, copies = 1) {
+    const promptTokens = estimatePromptTokens(requestBody);
+    const maxCompletionTokens = requestBody.max_tokens || 0;
+    const pricing = getModelPricing(requestBody.model);
+
+    if (!pricing) {
+        return { promptTokens, maxCompletionTokens, copies, minCost: null, maxCost: null };
+    }
+
+    const minCost = promptTokens * pricing.prompt;
+    return {
+        promptTokens,
+        maxCompletionTokens,
+        copies,
+        minCost: minCost * copies,
+        maxCost: (minCost + maxCompletionTokens * pricing.completion) * copies
+    };
+}
+
+function formatCost(amount) {
+    if (amount === null || amount === undefined) return '?';
+    if (amount === 0) return '$0';
+    if (amount < 0.01) return `$${amount.toFixed(4)}`;
+    return `$${amount.toFixed(2)}`;
+}
+
+function formatTokenCount(tokens) {
+    return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+}
+
+function describeCostEstimate(estimate) {
+    const tokens = `~${formatTokenCount(estimate.promptTokens)} prompt tokens${estimate.copies > 1 ? ` × ${estimate.copies}` : ''}`;
+    if (estimate.maxCost === null) {
+        return `${tokens} · cost unknown`;
+    }
+    if (estimate.maxCost === 0) {
+        return `${tokens} · free`;
+    }
+    return `${tokens} · ${formatCost(estimate.minCost)}–${formatCost(estimate.maxCost)}`;
+}
+
+// Logs a finished (or stopped) request. usage is the API's usage block; when
+// it is missing the tokens are estimated from the prompt and the text received.
+function recordUsage(requestBody, usage, completionText) {
+    if (!usage && !completionText) return;
+
+    const promptTokens = usage?.prompt_tokens ?? estimatePromptTokens(requestBody);
+    const completionTokens = usage?.completion_tokens ?? estimateTokens(completionText);
+
+    let cost = usage?.cost;
+    if (cost === undefined || cost === null) {
+        const pricing = getModelPricing(requestBody.model);
+        cost = pricing ? promptTokens * pricing.prompt + completionTokens * pricing.completion : 0;
+    }
+
+    usageLedger.push({
+        timestamp: new Date().toISOString(),
+        projectId: currentProjectId,
+        model: requestBody.model,
+        promptTokens,
+        completionTokens,
+        cost,
+        estimated: !usage
+    });
+    compactUsageLedger();
+
+    autoSave();
+    scheduleCostEstimateUpdate();
+}
+
+// Entries older than this are rolled up into one per day, project and model
+const USAGE_DETAIL_DAYS = 60;
+
+// Day and month keys are in local time, so the cap resets at local midnight
+function getDayKey(date = new Date()) {
+    return `${getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getMonthKey(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function getMonthSpend(monthKey = getMonthKey()) {
+    return usageLedger
+        .filter(entry => getMonthKey(new Date(entry.timestamp)) === monthKey)
+        .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+}
+
+// Keeps the ledger from growing without limit. Rolled-up entries are
+// stamped with local midnight of their day and count their requests.
+function compactUsageLedger() {
+    const cutoff = new Date();
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setDate(cutoff.getDate() - USAGE_DETAIL_DAYS);
+
+    const old = usageLedger.filter(entry => !entry.rolledUp && new Date(entry.timestamp) < cutoff);
+    if (old.length === 0) return;
+
+    const rollups = new Map(usageLedger.filter(entry => entry.rolledUp)
+        .map(entry => [`${getDayKey(new Date(entry.timestamp))}|${entry.projectId}|${entry.model}`, entry]));
+    old.forEach(entry => {
+        const date = new Date(entry.timestamp);
+        const key = `${getDayKey(date)}|${entry.projectId}|${entry.model}`;
+        let rollup = rollups.get(key);
+        if (!rollup) {
+            date.setHours(0, 0, 0, 0);
+            rollup = { timestamp: date.toISOString(), projectId: entry.projectId, model: entry.model, promptTokens: 0, completionTokens: 0, cost: 0, requests: 0, estimated: false, rolledUp: true };
+            rollups.set(key, rollup);
+        }
+        rollup.requests += entry.requests || 1;
+        rollup.promptTokens += entry.promptTokens || 0;
+        rollup.completionTokens += entry.completionTokens || 0;
+        rollup.cost += entry.cost || 0;
+        rollup.estimated = rollup.estimated || Boolean(entry.estimated);
+    });
+
+    const oldSet = new Set(old);
+    usageLedger = [
+        ...rollups.values(),
+        ...usageLedger.filter(entry => !entry.rolledUp && !oldSet.has(entry))
+    ].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+function isMonthlyCapReached() {
+    return settings.monthlySpendCap > 0 && getMonthSpend() >= settings.monthlySpendCap;
+}
+
+// Sums ledger entries by a key function, newest key first
+function groupUsage(keyFn) {
+    const groups = {};
+    usageLedger.forEach(entry => {
+        const key = keyFn(entry);
+        if (!groups[key]) {
+            groups[key] = { key, requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+        }
+        groups[key].requests += entry.requests || 1;
+        groups[key].promptTokens += entry.promptTokens || 0;
+        groups[key].completionTokens += entry.completionTokens || 0;
+        groups[key].cost += entry.cost || 0;
+    });
+    return Object.values(groups).sort((a, b) => b.key.localeCompare(a.key));
+}
+
+let costEstimateTimer = null;
+
+// Recomputes the estimate next to Continue once typing settles
+function scheduleCostEstimateUpdate() {
+    clearTimeout(costEstimateTimer);
+    costEstimateTimer = setTimeout(updateCostEstimate, 800);
+}
+
+function updateCostEstimate() {
+    const badge = document.getElementById('costEstimate');
+    if (!badge) return;
+
+    if (!currentDocumentId || !modelsLoaded) {
+        badge.textContent = '';
+        return;
+    }
+
+    // The badge sits next to Continue, which asks for every alternative
+    const { requestBody } = buildAiRequest('continue');
+    const estimate = estimateRequestCost(requestBody, getRequestCopies('cursor'));
+    badge.textContent = describeCostEstimate(estimate);
+    badge.classList.toggle('over-cap', isMonthlyCapReached() && !isModelFree(requestBody.model));
+}
+
+function renderUsagePanel() {
+    const container = document.getElementById('usageSummary');
+    if (!container) return;
+
+    const monthSpend = getMonthSpend();
+    const cap = settings.monthlySpendCap;
+    document.getElementById('monthlySpendCap').value = cap > 0 ? cap : '';
+
+    if (usageLedger.length === 0) {
+        container.innerHTML = '<p class="settings-hint">No AI requests recorded yet.</p>';
+        return;
+    }
+
+    const renderTable = (title, rows, labelFn) => `
+        <h5 class="usage-table-title">${title}</h5>
+        <table class="budget-table usage-table">
+            <thead>
+                <tr><th></th><th>Requests</th><th>Prompt</th><th>Completion</th><th>Cost</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${escapeHtml(labelFn(row.key))}</td>
+                        <td>${row.requests}</td>
+                        <td>${row.promptTokens.toLocaleString()}</td>
+                        <td>${row.completionTokens.toLocaleString()}</td>
+                        <td>${formatCost(row.cost)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    const thisMonth = getMonthKey();
+    const monthEntries = usageLedger.filter(entry => getMonthKey(new Date(entry.timestamp)) === thisMonth);
+    const byModel = {};
+    const byProject = {};
+    monthEntries.forEach(entry => {
+        byModel[entry.model] = (byModel[entry.model] || 0) + (entry.cost || 0);
+        byProject[entry.projectId] = (byProject[entry.projectId] || 0) + (entry.cost || 0);
+    });
+
+    container.innerHTML = `
+        <p class="usage-month-total">
+            This month: <strong>${formatCost(monthSpend)}</strong>${cap > 0 ? ` of ${formatCost(cap)} cap` : ''}
+            ${isMonthlyCapReached() ? '<span class="usage-cap-reached">Cap reached — paid models blocked</span>' : ''}
+        </p>
+        ${renderTable('Per day (last 14 days)', groupUsage(entry => getDayKey(new Date(entry.timestamp))).slice(0, 14), key => key)}
+        ${renderTable('Per month', groupUsage(entry => getMonthKey(new Date(entry.timestamp))).slice(0, 12), key => key)}
+        <h5 class="usage-table-title">This month by model</h5>
+        <ul class="usage-breakdown">
+            ${Object.entries(byModel).sort((a, b) => b[1] - a[1]).map(([model, cost]) => `
+                <li><span>${escapeHtml(model)}</span><span>${formatCost(cost)}</span></li>
+            `).join('')}
+        </ul>
+        <h5 class="usage-table-title">This month by project</h5>
+        <ul class="usage-breakdown">
+            ${Object.entries(byProject).sort((a, b) => b[1] - a[1]).map(([projectId, cost]) => {
+                const project = projects.find(p => String(p.id) === projectId);
+                return `<li><span>${escapeHtml(project ? project.title : 'No project')}</span><span>${formatCost(cost)}</span></li>`;
+            }).join('')}
+        </ul>
+    `;
+}
+
+function saveMonthlySpendCap() {
+    const value = parseFloat(document.getElementById('monthlySpendCap').value);
+    settings.monthlySpendCap = value > 0 ? value : 0;
+    autoSave();
+    renderUsagePanel();
+    updateCostEstimate();
+    showToast(settings.monthlySpendCap > 0
+        ? `Monthly cap set to ${formatCost(settings.monthlySpendCap)}`
+        : 'Monthly cap removed');
+}
+
+function clearUsageLedger() {
+    if (!confirm('Clear all recorded usage? Spend totals will restart from zero.')) return;
+    usageLedger = [];
+    autoSave();
+    renderUsagePanel();
+    showToast('Usage history cleared');
+}
+
+/* ========== CONTEXT BUDGET ========== */
+
+// Rough estimate; about four characters per token holds for English prose
+const CHARS_PER_TOKEN = 4;
+// Used when a provider doesn't report the model's context length
+const DEFAULT_CONTEXT_LENGTH = 8192;
+// Share of the window held back for message framing and estimate error
+const CONTEXT_SAFETY_MARGIN = 0.05;
+// A document trimmed below this is left out rather than sent as a stub
+const MIN_EXCERPT_TOKENS = 150;
+// Recent text is the last this many characters of the document, as before
+// budgeting, however large the model's window; text after the cursor is
+// cut the same way from its start
+const RECENT_TEXT_MAX_CHARS = 4000;
+
+// When the budget runs short, documents are kept in this order (lowest first)
+const DOCUMENT_TYPE_PRIORITY = {
+    'Instructions': 0,
+    'Writing Style': 1,
+    'Synopsis': 2,
+    'Characters': 3,
+    'Plot': 4,
+    'Locations': 5,
+    'Worldbuilding': 6,
+    'Chapter': 7,
+    'Notes': 8,
+    'Research': 9,
+    'Other': 10
+};
+
+function estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+function getModelContextLength(modelKey) {
+    const model = OPENROUTER_MODELS.find(m => m.key === modelKey);
+    return model?.contextLength || DEFAULT_CONTEXT_LENGTH;
+}
+
+function getDocumentText(doc) {
+    return new DOMParser().parseFromString(doc.content || '', 'text/html').body.textContent || '';
+}
+
+// Enabled documents for this project (excluding current document), sorted by order
+function getEnabledContextDocs() {
+    return documents
+        .filter(d => d.projectId === currentProjectId && d.enabled && d.id !== currentDocumentId)
+        .sort((a, b) => a.order - b.order);
+}
+
+// A local, free summary of a document that doesn't fit whole: the
+// opening sentence of every paragraph, so the whole document is covered
+function condenseDocumentText(text) {
+    const leads = text
+        .split(/\n+/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => paragraph.match(/^.*?[.!?…](?=\s|$)/)?.[0] || paragraph);
+    return `[Condensed: the first sentence of each paragraph]\n${leads.join('\n')}`;
+}
+
+function formatDocumentsContext(entries) {
+    if (entries.length === 0) return '';
+    return '\n\nAdditional Context:\n' + entries.map(entry => {
+        return `--- ${entry.doc.type}: ${entry.doc.title} ---\n${entry.text}\n`;
+    }).join('\n');
+}
+
+// Fits the prompt into the selected model's context window. fixedText is the
+// prompt rendered with empty document/recent-text slots (context notes
+// included); it, any extraSections and the reserved max_tokens are fixed costs.
+// Recent story text (at most RECENT_TEXT_MAX_CHARS) gets at least half of
+// what is left, and enabled documents fill the rest by type priority, after
+// any lorebook entries that fired. Documents that don't fit are summarized,
+// trimmed to an excerpt or left out.
+function budgetContext({ modelKey, maxTokens, fixedText, contextNotes = '', docs = [], currentText = '', followingText = '', summaries = [], lore = [], pinnedDocIds = [], extraSections = [] }) {
+    const contextLength = getModelContextLength(modelKey);
+
+    const notesTokens = contextNotes ? estimateTokens(contextNotes) : 0;
+    const promptTokens = Math.max(estimateTokens(fixedText) - notesTokens, 0);
+    const extraTokens = extraSections.reduce((sum, section) => sum + section.tokens, 0);
+    const marginTokens = Math.ceil(contextLength * CONTEXT_SAFETY_MARGIN);
+
+    const available = contextLength - maxTokens - promptTokens - notesTokens - extraTokens - marginTokens;
+    const overBudget = available <= 0;
+    const room = Math.max(available, 0);
+
+    const docEntries = docs.map(doc => {
+        const text = getDocumentText(doc);
+        return { doc, text, fullTokens: estimateTokens(text), tokens: 0, status: 'omitted' };
+    });
+    const docsFullTokens = docEntries.reduce((sum, entry) => sum + entry.fullTokens, 0);
+
+    // Recent text takes what the documents leave, but never less than half the room
+    const recentSource = currentText.slice(-RECENT_TEXT_MAX_CHARS);
+    const followingSource = followingText.slice(0, RECENT_TEXT_MAX_CHARS);
+    const recentFullTokens = estimateTokens(recentSource);
+    const followingFullTokens = estimateTokens(followingSource);
+    const textRoom = Math.min(recentFullTokens + followingFullTokens, Math.max(room - docsFullTokens, Math.floor(room / 2)));
+
+    // Text after the cursor (bridge mode) gets at least a third of that,
+    // kept from its start; the text before the cursor is kept from its end
+    const followingTokens = Math.min(followingFullTokens, Math.max(Math.floor(textRoom / 3), textRoom - recentFullTokens));
+    const recentTokens = Math.min(recentFullTokens, textRoom - followingTokens);
+    const recentText = recentTokens >= recentFullTokens
+        ? recentSource
+        : recentTokens > 0 ? recentSource.slice(-recentTokens * CHARS_PER_TOKEN) : '';
+    const budgetedFollowingText = followingTokens >= followingFullTokens
+        ? followingSource
+        : followingSource.slice(0, followingTokens * CHARS_PER_TOKEN);
+
+    // Chapter summaries likewise take what the documents leave, but never
+    // less than half of what remains; the latest chapters are kept first
+    const afterTextRoom = room - estimateTokens(recentText) - estimateTokens(budgetedFollowingText);
+    let summariesRoom = Math.max(afterTextRoom - docsFullTokens, Math.floor(afterTextRoom / 2));
+    const keptSummaries = [];
+    for (const entry of [...summaries].reverse()) {
+        const tokens = estimateTokens(formatStorySoFar([entry]));
+        if (tokens > summariesRoom) break;
+        keptSummaries.unshift(entry);
+        summariesRoom -= tokens;
+    }
+    const storySoFar = formatStorySoFar(keptSummaries);
+
+    let docsRoom = afterTextRoom - estimateTokens(storySoFar);
+
+    // Lorebook entries that fired are small and specific, so they go first
+    const loreEntries = lore.map(match => ({ ...match, text: formatLoreEntry(match.entry), tokens: 0, status: 'omitted' }));
+    loreEntries.forEach(entry => {
+        const tokens = estimateTokens(entry.text);
+        if (tokens > docsRoom) return;
+        entry.tokens = tokens;
+        entry.status = 'full';
+        docsRoom -= tokens;
+    });
+    const includedLore = loreEntries.filter(entry => entry.status !== 'omitted');
+
+    // Documents pinned to a chat thread come before everything else
+    const docPriority = (doc) => pinnedDocIds.includes(doc.id) ? -1 : (DOCUMENT_TYPE_PRIORITY[doc.type] ?? 99);
+    [...docEntries]
+        .sort((a, b) => docPriority(a.doc) - docPriority(b.doc))
+        .forEach(entry => {
+            const summaryText = entry.doc.summary ? `[Chapter summary]\n${entry.doc.summary}` : '';
+            const condensedText = entry.fullTokens > docsRoom ? condenseDocumentText(entry.text) : '';
+            if (entry.fullTokens <= docsRoom) {
+                entry.status = 'full';
+            } else if (summaryText && estimateTokens(summaryText) <= docsRoom) {
+                // A summary says more about a chapter than its opening pages
+                entry.text = summaryText;
+                entry.status = 'summarized';
+            } else if (estimateTokens(condensedText) <= docsRoom && condensedText.length < entry.text.length) {
+                entry.text = condensedText;
+                entry.status = 'condensed';
+            } else if (docsRoom >= MIN_EXCERPT_TOKENS) {
+                entry.text = entry.text.slice(0, docsRoom * CHARS_PER_TOKEN) + '\n[...trimmed to fit the context window]';
+                entry.status = 'trimmed';
+            } else {
+                return;
+            }
+            entry.tokens = estimateTokens(entry.text);
+            docsRoom -= entry.tokens;
+        });
+
+    const includedDocs = docEntries.filter(entry => entry.status !== 'omitted');
+
+    const sections = [
+        { label: 'System & user prompt', tokens: promptTokens, status: 'full' },
+        { label: 'Context notes', tokens: notesTokens, status: 'full' },
+        ...extraSections.map(section => ({ status: 'full', ...section })),
+        ...loreEntries.map(entry => ({
+            label: `Lore: ${entry.entry.name}`,
+            tokens: entry.tokens,
+            status: entry.status
+        })),
+        ...docEntries.map(entry => ({
+            label: `${pinnedDocIds.includes(entry.doc.id) ? '📌 ' : ''}${entry.doc.type}: ${entry.doc.title}`,
+            tokens: entry.tokens,
+            status: entry.status
+        })),
+        {
+            label: 'Recent text',
+            tokens: estimateTokens(recentText),
+            status: recentText.length < currentText.length ? 'trimmed' : 'full'
+        },
+        ...(summaries.length > 0 ? [{
+            label: `Story so far (${keptSummaries.length} of ${summaries.length} chapter summaries)`,
+            tokens: estimateTokens(storySoFar),
+            status: keptSummaries.length === 0 ? 'omitted' : keptSummaries.length < summaries.length ? 'trimmed' : 'full'
+        }] : []),
+        ...(followingText ? [{
+            label: 'Following text',
+            tokens: estimateTokens(budgetedFollowingText),
+            status: budgetedFollowingText.length < followingText.length ? 'trimmed' : 'full'
+        }] : []),
+        { label: 'Response (max_tokens)', tokens: maxTokens, status: 'reserved' }
+    ];
+
+    return {
+        documentsContext: formatDocumentsContext(includedDocs) + formatLoreContext(includedLore),
+        includedDocs,
+        loreMatches: loreEntries,
+        recentText,
+        followingText: budgetedFollowingText,
+        storySoFar,
+        contextLength,
+        sections,
+        totalTokens: sections.reduce((sum, section) => sum + section.tokens, 0),
+        overBudget
+    };
+}
+
+/* ========== CHAPTER SUMMARIES ========== */
+
+// Chapters are summarized once they have some substance, and again when
+// their word count has moved by the ratio or the absolute amount below
+const SUMMARY_MIN_WORDS = 150;
+const SUMMARY_REFRESH_RATIO = 0.2;
+const SUMMARY_REFRESH_WORDS = 300;
+const SUMMARY_MAX_TOKENS = 400;
+const SUMMARY_SYSTEM_PROMPT = 'You summarize novel chapters for the author. Write a concise summary (120-200 words) of the chapter you are given: the key events in order, character developments, revelations, and where the chapter leaves off. Use past tense. Return only the summary.';
+
+// Chapters are summarized one at a time in the background
+let summaryQueue = [];
+let isSummarizing = false;
+// Chapter shown in the summary dialog
+let summaryModalDocId = null;
+
+function chapterNeedsSummary(doc) {
+    if (doc.type !== 'Chapter' || (doc.wordCount || 0) < SUMMARY_MIN_WORDS) return false;
+    if (!doc.summary) return true;
+
+    const change = Math.abs(doc.wordCount - (doc.summaryWordCount || 0));
+    return change >= SUMMARY_REFRESH_WORDS || change >= (doc.summaryWordCount || 0) * SUMMARY_REFRESH_RATIO;
+}
+
+// Called after every save; the model and cap are checked when the job runs
+function scheduleChapterSummary(doc) {
+    if (!settings.autoSummarizeChapters || !chapterNeedsSummary(doc)) return;
+
+    if (!summaryQueue.includes(doc.id)) {
+        summaryQueue.push(doc.id);
+    }
+    processSummaryQueue();
+}
+
+async function processSummaryQueue() {
+    if (isSummarizing) return;
+    isSummarizing = true;
+
+    try {
+        while (summaryQueue.length > 0) {
+            const doc = documents.find(d => d.id === summaryQueue.shift());
+            if (!doc || !chapterNeedsSummary(doc)) continue;
+            if (getModelProblem(document.getElementById('modelSelect').value)) continue;
+
+            try {
+                await summarizeChapter(doc);
+            } catch (error) {
+                console.error('Summary failed:', error);
+            }
+        }
+    } finally {
+        isSummarizing = false;
+    }
+}
+
+async function summarizeChapter(doc) {
+    const chapterText = getDocumentText(doc);
+    const { requestBody, budget } = buildAiRequest('summarize', { chapterText });
+    if (budget.overBudget) throw new Error('The summary does not fit in the model\'s context window');
+    const summary = await requestChatCompletion(requestBody);
+
+    if (!summary) return;
+
+    doc.summary = summary;
+    doc.summaryWordCount = countWords(chapterText);
+    doc.summaryUpdated = new Date().toISOString();
+    autoSave();
+    updateDocumentsList();
 }
 
-/* ========== WORD COUNT ========== */
+// Summaries of the chapters before the current document, in document order.
+// Empty when the system prompt has no {STORY_SO_FAR} to put them in.
+function getStorySoFarSummaries() {
+    const template = settings.customSystemPrompt || DEFAULT_SYSTEM_PROMPT;
+    const currentDoc = documents.find(d => d.id === currentDocumentId);
+    if (!currentDoc || !template.includes('{STORY_SO_FAR}')) return [];
+
+    return documents
+        .filter(d => d.projectId === currentDoc.projectId && d.type === 'Chapter' && d.summary && d.order < currentDoc.order)
+        .sort((a, b) => a.order - b.order)
+        .map(d => ({ title: d.title, summary: d.summary }));
+}
 
-function countWords(text) {
-    if (!text || text.trim() === '') return 0;
-    return text.trim().split(/\s+/).length;
+function formatStorySoFar(entries) {
+    if (entries.length === 0) return '';
+    return `\n\nStory so far (summaries of earlier chapters):\n${entries.map(entry => `--- ${entry.title} ---\n${entry.summary}`).join('\n')}`;
 }
 
-function updateWordCount() {
-    const text = quillEditor.getText();
-    const words = countWords(text);
-    document.getElementById('wordCount').textContent = words.toLocaleString();
-    
-    if (currentDocumentId) {
-        document.getElementById('documentWordCount').textContent = `${words.toLocaleString()} words`;
-    }
+function openSummaryModal(docId) {
+    const doc = documents.find(d => d.id === docId);
+    if (!doc) return;
+
+    summaryModalDocId = docId;
+    document.getElementById('summaryModalTitle').textContent = `📝 Summary: ${doc.title}`;
+    document.getElementById('chapterSummaryText').value = doc.summary || '';
+    updateSummaryModalMeta(doc);
+    document.getElementById('summaryModal').style.display = 'flex';
 }
 
-/* ========== AUTO-SAVE TIMER ========== */
+function closeSummaryModal() {
+    document.getElementById('summaryModal').style.display = 'none';
+    summaryModalDocId = null;
+}
 
-function resetAutoSaveTimer() {
-    if (autoSaveTimer) {
-        clearTimeout(autoSaveTimer);
+function updateSummaryModalMeta(doc) {
+    document.getElementById('chapterSummaryMeta').textContent = doc.summary
+        ? `Summarized at ${(doc.summaryWordCount || 0).toLocaleString()} words on ${new Date(doc.summaryUpdated).toLocaleString()}. The chapter now has ${(doc.wordCount || 0).toLocaleString()} words.`
+        : settings.autoSummarizeChapters
+            ? 'No summary yet. Summaries are generated automatically once a chapter is saved with enough text.'
+            : 'No summary yet. Click Regenerate, or turn on automatic summaries in Settings.';
+}
+
+async function regenerateChapterSummary() {
+    const doc = documents.find(d => d.id === summaryModalDocId);
+    if (!doc || !ensureModelReady()) return;
+
+    if (doc.id === currentDocumentId && hasUnsavedChanges && !pendingRewrite) {
+        saveDocument(false);
     }
-    
-    autoSaveTimer = setTimeout(() => {
-        if (hasUnsavedChanges && currentDocumentId) {
-            saveDocument(false);
+
+    const button = document.getElementById('regenerateSummaryBtn');
+    button.disabled = true;
+    showToast('Summarizing chapter...');
+
+    try {
+        await summarizeChapter(doc);
+        if (summaryModalDocId === doc.id) {
+            document.getElementById('chapterSummaryText').value = doc.summary || '';
+            updateSummaryModalMeta(doc);
         }
-    }, settings.autoSaveInterval);
+        showToast('Summary updated! 📝');
+    } catch (error) {
+        console.error('Summary failed:', error);
+        showToast('Summarizing failed. Check your API key.');
+    } finally {
+        button.disabled = false;
+    }
 }
 
-/* ========== MODEL SELECTION ========== */
+// Saving an edited summary marks it current for the chapter as it is now
+function saveChapterSummary() {
+    const doc = documents.find(d => d.id === summaryModalDocId);
+    if (!doc) return;
 
-async function fetchOpenRouterModels() {
-    if (modelsLoaded) return;
+    const summary = document.getElementById('chapterSummaryText').value.trim();
+    doc.summary = summary || undefined;
+    doc.summaryWordCount = summary ? doc.wordCount || 0 : undefined;
+    doc.summaryUpdated = summary ? new Date().toISOString() : undefined;
 
-    try {
-        showToast('Loading models from OpenRouter...');
-        
-        const response = await fetch('https://openrouter.ai/api/v1/models', {
-            headers: {
-                'HTTP-Referer': window.location.origin,
-                'X-Title': 'Pym Write'
-            }
-        });
+    autoSave();
+    updateDocumentsList();
+    closeSummaryModal();
+    showToast(summary ? 'Summary saved!' : 'Summary cleared');
+}
+
+function setAutoSummarizeChapters(enabled) {
+    settings.autoSummarizeChapters = enabled;
+    autoSave();
+}
+
+/* ========== LOREBOOK ========== */
+
+// How much of the story around the cursor is scanned for lorebook keywords
+const LOREBOOK_SCAN_CHARS = 4000;
+
+// Lore entry being edited in the entry dialog, or null for a new one
+let editingLoreEntryId = null;
+
+function getProjectLorebook() {
+    const project = projects.find(p => p.id === currentProjectId);
+    return project?.lorebook || [];
+}
 
-        if (!response.ok) {
-            throw new Error(`Failed to fetch models: ${response.status}`);
+// Every term that triggers an entry: its name, aliases and keywords
+function getLoreTerms(entry) {
+    return [entry.name, ...(entry.aliases || []), ...(entry.keywords || [])]
+        .map(term => term.trim())
+        .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Finds the enabled entries whose terms appear as whole words in any of the
+// sources ({ source, text }). Returns [{ entry, term, source }], one per entry.
+function matchLorebook(sources) {
+    const matches = [];
+
+    getProjectLorebook().filter(entry => entry.enabled).forEach(entry => {
+        for (const term of getLoreTerms(entry)) {
+            const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?=$|[^\\p{L}\\p{N}])`, 'iu');
+            const hit = sources.find(({ text }) => text && pattern.test(text));
+            if (hit) {
+                matches.push({ entry, term, source: hit.source });
+                return;
+            }
         }
+    });
 
-        const data = await response.json();
-        
-        // Transform the API response into our format
-        OPENROUTER_MODELS = data.data.map(model => ({
-            id: model.id,
-            name: model.name,
-            provider: extractProvider(model.id),
-            contextLength: model.context_length || 0,
-            pricing: model.pricing || {},
-            isFree: isFreeModel(model.pricing)
-        }));
-
-        // Sort models: free first, then by provider
-        OPENROUTER_MODELS.sort((a, b) => {
-            if (a.isFree && !b.isFree) return -1;
-            if (!a.isFree && b.isFree) return 1;
-            return a.provider.localeCompare(b.provider);
-        });
+    return matches;
+}
 
-        modelsLoaded = true;
-        populateModelSelect();
-        showToast(`Loaded ${OPENROUTER_MODELS.length} models!`);
-        
-    } catch (error) {
-        console.error('Error fetching models:', error);
-        showToast('Failed to load models. Using default list.');
-        
-        // Fallback to a basic list if API fails
-        OPENROUTER_MODELS = [
-            { id: 'anthropic/claude-3.5-sonnet', name: 'Claude 3.5 Sonnet', provider: 'Anthropic', isFree: false },
-            { id: 'openai/gpt-4-turbo', name: 'GPT-4 Turbo', provider: 'OpenAI', isFree: false },
-            { id: 'openai/gpt-3.5-turbo', name: 'GPT-3.5 Turbo', provider: 'OpenAI', isFree: false },
-            { id: 'google/gemini-pro', name: 'Gemini Pro', provider: 'Google', isFree: false },
-            { id: 'meta-llama/llama-3-8b-instruct:free', name: 'Llama 3 8B (Free)', provider: 'Meta', isFree: true }
-        ];
-        modelsLoaded = true;
-        populateModelSelect();
-    }
+function formatLoreEntry(entry) {
+    const aliases = (entry.aliases || []).filter(Boolean);
+    return `--- ${entry.name}${aliases.length > 0 ? ` (also: ${aliases.join(', ')})` : ''} ---\n${entry.description}\n`;
 }
 
-function extractProvider(modelId) {
-    const parts = modelId.split('/');
-    if (parts.length > 0) {
-        const provider = parts[0];
-        return provider.charAt(0).toUpperCase() + provider.slice(1);
-    }
-    return 'Unknown';
+function formatLoreContext(entries) {
+    if (entries.length === 0) return '';
+    return '\n\nLorebook:\n' + entries.map(entry => entry.text).join('\n');
 }
 
-function isFreeModel(pricing) {
-    if (!pricing) return false;
-    
-    const promptPrice = parseFloat(pricing.prompt) || 0;
-    const completionPrice = parseFloat(pricing.completion) || 0;
-    
-    return promptPrice === 0 && completionPrice === 0;
+function parseTermList(value) {
+    return value.split(',').map(term => term.trim()).filter(Boolean);
 }
 
-function populateModelSelect() {
-    const select = document.getElementById('modelSelect');
-    const showFavorites = document.getElementById('showFavoritesOnly')?.checked || false;
-    const showFreeOnly = document.getElementById('showFreeOnly')?.checked || false;
-    
-    if (!modelsLoaded || OPENROUTER_MODELS.length === 0) {
-        select.innerHTML = '<option value="">Loading models...</option>';
+function updateLorebookList() {
+    const container = document.getElementById('lorebookList');
+    if (!container) return;
+
+    if (!currentProjectId) {
+        container.innerHTML = '<p style="text-align:center; color:#999; padding:20px;">Select a project to manage its lorebook</p>';
         return;
     }
-    
-    select.innerHTML = '';
-    
-    let modelsToShow = OPENROUTER_MODELS;
-    
-    if (showFavorites) {
-        modelsToShow = modelsToShow.filter(m => settings.favoriteModels.includes(m.id));
-    }
-    
-    if (showFreeOnly) {
-        modelsToShow = modelsToShow.filter(m => m.isFree);
-    }
 
-    if (modelsToShow.length === 0) {
-        select.innerHTML = '<option value="">No models match filters</option>';
+    const lorebook = getProjectLorebook();
+    if (lorebook.length === 0) {
+        container.innerHTML = '<p style="text-align:center; color:#999; padding:20px;">No entries yet. Add characters, places and things; each is sent to the AI only when one of its keywords comes up.</p>';
         return;
     }
 
-    const freeModels = modelsToShow.filter(m => m.isFree);
-    const paidModels = modelsToShow.filter(m => !m.isFree);
+    container.innerHTML = [...lorebook]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(entry => `
+            <div class="lore-card ${entry.enabled ? '' : 'disabled'}" onclick="openLoreEntryModal(${entry.id})">
+                <div class="lore-card-header">
+                    <label class="toggle-container" onclick="event.stopPropagation();">
+                        <input type="checkbox" ${entry.enabled ? 'checked' : ''} onchange="toggleLoreEntry(${entry.id})">
+                        <span class="toggle-slider"></span>
+                    </label>
+                    <h4>${escapeHtml(entry.name)}</h4>
+                    <button class="icon-btn delete-icon" onclick="event.stopPropagation(); deleteLoreEntry(${entry.id})" title="Delete">🗑️</button>
+                </div>
+                <div class="lore-terms">
+                    ${getLoreTerms(entry).slice(1).map(term => `<span class="lore-term">${escapeHtml(term)}</span>`).join('')}
+                </div>
+                <p class="lore-description">${escapeHtml(entry.description)}</p>
+            </div>
+        `).join('');
+}
 
-    if (freeModels.length > 0) {
-        const freeGroup = document.createElement('optgroup');
-        freeGroup.label = '🆓 Free Models';
-        freeModels.forEach(model => {
-            const option = document.createElement('option');
-            option.value = model.id;
-            option.textContent = `${model.name} (${model.provider})`;
-            freeGroup.appendChild(option);
-        });
-        select.appendChild(freeGroup);
+function openLoreEntryModal(entryId = null) {
+    if (!currentProjectId) {
+        showToast('Please select a project first');
+        return;
     }
 
-    if (paidModels.length > 0) {
-        const paidGroup = document.createElement('optgroup');
-        paidGroup.label = '💳 Paid Models';
-        paidModels.forEach(model => {
-            const option = document.createElement('option');
-            option.value = model.id;
-            option.textContent = `${model.name} (${model.provider})`;
-            paidGroup.appendChild(option);
-        });
-        select.appendChild(paidGroup);
-    }
-    
-    // Set saved model
-    if (settings.lastUsedModel) {
-        select.value = settings.lastUsedModel;
-    }
-    
-    updateFavoriteButton();
+    const entry = getProjectLorebook().find(e => e.id === entryId);
+    editingLoreEntryId = entry ? entry.id : null;
+
+    document.getElementById('loreEntryModalTitle').textContent = entry ? 'Edit Lore Entry' : 'New Lore Entry';
+    document.getElementById('loreEntryName').value = entry?.name || '';
+    document.getElementById('loreEntryAliases').value = (entry?.aliases || []).join(', ');
+    document.getElementById('loreEntryKeywords').value = (entry?.keywords || []).join(', ');
+    document.getElementById('loreEntryDescription').value = entry?.description || '';
+
+    document.getElementById('loreEntryModal').style.display = 'flex';
+    document.getElementById('loreEntryName').focus();
 }
 
-function toggleFavoriteModel() {
-    const modelId = document.getElementById('modelSelect').value;
-    if (!modelId) return;
+function closeLoreEntryModal() {
+    document.getElementById('loreEntryModal').style.display = 'none';
+    document.getElementById('loreEntryForm').reset();
+    editingLoreEntryId = null;
+}
 
-    const index = settings.favoriteModels.indexOf(modelId);
-    if (index > -1) {
-        settings.favoriteModels.splice(index, 1);
-        showToast('Removed from favorites');
+function saveLoreEntry(event) {
+    event.preventDefault();
+
+    const project = projects.find(p => p.id === currentProjectId);
+    if (!project) return;
+    project.lorebook = project.lorebook || [];
+
+    const fields = {
+        name: document.getElementById('loreEntryName').value.trim(),
+        aliases: parseTermList(document.getElementById('loreEntryAliases').value),
+        keywords: parseTermList(document.getElementById('loreEntryKeywords').value),
+        description: document.getElementById('loreEntryDescription').value.trim()
+    };
+
+    const existing = project.lorebook.find(e => e.id === editingLoreEntryId);
+    if (existing) {
+        Object.assign(existing, fields);
     } else {
-        settings.favoriteModels.push(modelId);
-        showToast('Added to favorites ⭐');
+        project.lorebook.push({ id: Date.now(), enabled: true, ...fields });
     }
 
     autoSave();
-    updateFavoriteButton();
+    updateLorebookList();
+    closeLoreEntryModal();
+    showToast(existing ? 'Lore entry updated!' : `Lore entry "${fields.name}" added!`);
 }
 
-function updateFavoriteButton() {
-    const modelId = document.getElementById('modelSelect').value;
-    const btn = document.getElementById('favoriteBtn');
-    if (!btn) return;
+function toggleLoreEntry(entryId) {
+    const entry = getProjectLorebook().find(e => e.id === entryId);
+    if (!entry) return;
 
-    if (settings.favoriteModels.includes(modelId)) {
-        btn.textContent = '⭐';
-        btn.title = 'Remove from favorites';
-    } else {
-        btn.textContent = '☆';
-        btn.title = 'Add to favorites';
+    entry.enabled = !entry.enabled;
+    autoSave();
+    updateLorebookList();
+    scheduleCostEstimateUpdate();
+}
+
+function deleteLoreEntry(entryId) {
+    const project = projects.find(p => p.id === currentProjectId);
+    const entry = project?.lorebook?.find(e => e.id === entryId);
+    if (!entry) return;
+
+    if (!confirm(`Delete lore entry "${entry.name}"?`)) return;
+
+    project.lorebook = project.lorebook.filter(e => e.id !== entryId);
+    autoSave();
+    updateLorebookList();
+    showToast('Lore entry deleted');
+}
+
+/* ========== REQUEST BUILDER ========== */
+
+// Every AI action builds its chat/completions body here, so Preview shows
+// exactly what each action will send.
+const AI_ACTIONS = {
+    continue: 'Continue',
+    cursor: 'Continue from cursor',
+    bridge: 'Bridge (fill the gap)',
+    summarize: 'Summarize chapter',
+    go: 'Go (start writing)',
+    brainstorm: 'Brainstorm',
+    improve: 'Improve',
+    chat: 'Chat'
+};
+
+// Reserved response size for actions that don't use "Tokens to Generate"
+const BRAINSTORM_MAX_TOKENS = 1024;
+const CHAT_MAX_TOKENS = 2048;
+// Share of the context window (after the response) chat history may use
+const CHAT_HISTORY_SHARE = 0.4;
+
+// User prompt for bridge mode; the system prompt is the usual story prompt
+const BRIDGE_USER_PROMPT = `There is a gap in the story at the marker below. Here is the text BEFORE the gap:
+
+{BEFORE_TEXT}
+
+[GAP]
+
+Here is the text AFTER the gap:
+
+{AFTER_TEXT}
+
+Write the passage that fills the gap. It must follow on naturally from the last words before the gap and lead directly into the first words after it, without contradicting or repeating anything that comes after. Return only the new passage.`;
+
+// Rewrite modes offered by Improve. instruction(option) becomes the heart of
+// the system prompt; lengthFactor scales max_tokens against the selection.
+const REWRITE_MODES = {
+    improve: {
+        label: 'Improve',
+        instruction: () => 'Improve the provided text by enhancing clarity, style, and readability while maintaining the original meaning and voice.'
+    },
+    shorten: {
+        label: 'Shorten',
+        lengthFactor: 1,
+        instruction: () => 'Shorten the provided text to roughly half its length. Keep the key events, details and the original voice.'
+    },
+    expand: {
+        label: 'Expand',
+        lengthFactor: 3,
+        instruction: () => 'Expand the provided text with more detail, description and interiority, to roughly twice its length. Keep the events, meaning and voice.'
+    },
+    vivid: {
+        label: 'More vivid',
+        instruction: () => 'Make the provided text more vivid: stronger verbs, concrete sensory detail and sharper imagery. Keep the events, meaning and voice.'
+    },
+    tense: {
+        label: 'Change tense',
+        instruction: (tense) => `Rewrite the provided text in the ${tense} tense. Change nothing else.`
+    },
+    pov: {
+        label: 'Change POV',
+        instruction: (pov) => `Rewrite the provided text from a ${pov} point of view. Keep the events and change nothing else.`
+    },
+    style: {
+        label: 'Match Writing Style',
+        instruction: () => 'Rewrite the provided text so it matches the writing style described below. Keep the events and meaning.'
+    },
+    custom: {
+        label: 'Custom instruction',
+        instruction: (text) => `Rewrite the provided text following this instruction: ${text}`
     }
+};
+
+function getAiSettings() {
+    return {
+        model: document.getElementById('modelSelect').value,
+        tokensToGenerate: parseInt(document.getElementById('tokensToGenerate').value),
+        temperature: parseFloat(document.getElementById('temperature').value),
+        contextNotes: document.getElementById('contextNotes').value
+    };
 }
 
-function toggleFavoritesFilter() {
-    populateModelSelect();
+// Builds { requestBody, budget } for an action. options carries what the
+// action works on: cursorIndex for 'cursor' and 'bridge', chapterText for
+// 'summarize', selectedText and rewrite
+// ({ mode, option }, defaulting to the Improve dialog) for 'improve',
+// message, history and pinnedDocIds for 'chat'. options.model overrides the
+// selected model.
+function buildAiRequest(action, options = {}) {
+    const ai = getAiSettings();
+    if (options.model) {
+        ai.model = options.model;
+    }
+
+    switch (action) {
+        case 'continue':
+            return buildStoryRequest(ai, quillEditor.getText());
+        case 'cursor': {
+            const index = options.cursorIndex ?? quillEditor.getLength();
+            return buildStoryRequest(ai, quillEditor.getText(0, index));
+        }
+        case 'bridge': {
+            const index = options.cursorIndex ?? quillEditor.getLength();
+            return buildBridgeRequest(ai, quillEditor.getText(0, index), quillEditor.getText(index));
+        }
+        case 'summarize':
+            return buildSummaryRequest(ai, options.chapterText ?? quillEditor.getText());
+        case 'go':
+            return buildGoRequest(ai);
+        case 'brainstorm':
+            return buildBrainstormRequest(ai);
+        case 'improve':
+            return buildImproveRequest(ai, options.selectedText || '', options.rewrite || getRewriteOptions());
+        case 'chat':
+            return buildChatRequest(ai, options.message || '', options.history || [], options.pinnedDocIds || getActiveChatThread()?.pinnedDocIds || []);
+        default:
+            throw new Error(`Unknown AI action: ${action}`);
+    }
 }
 
-/* ========== AI FUNCTIONS ========== */
+function buildStoryRequest(ai, currentText) {
+    const budget = budgetContext({
+        modelKey: ai.model,
+        maxTokens: ai.tokensToGenerate,
+        fixedText: getSystemPrompt(ai.tokensToGenerate, ai.contextNotes, '') + getUserPrompt(''),
+        contextNotes: ai.contextNotes,
+        docs: getEnabledContextDocs(),
+        currentText: currentText,
+        summaries: getStorySoFarSummaries(),
+        lore: matchLorebook([{ source: 'recent text', text: currentText.slice(-LOREBOOK_SCAN_CHARS) }])
+    });
 
-// Default prompts
-const DEFAULT_SYSTEM_PROMPT = `You are a creative writing assistant helping to continue a story. 
-{CONTEXT_NOTES}
-{DOCUMENTS_CONTEXT}
+    return {
+        requestBody: {
+            model: ai.model,
+            messages: [
+                { role: 'system', content: getSystemPrompt(ai.tokensToGenerate, ai.contextNotes, budget.documentsContext, budget.storySoFar) },
+                { role: 'user', content: getUserPrompt(budget.recentText) }
+            ],
+            temperature: ai.temperature,
+            max_tokens: ai.tokensToGenerate
+        },
+        budget
+    };
+}
 
-Generate approximately {TOKENS_TO_GENERATE} tokens that naturally continue the narrative. Match the writing style, tone, and voice of the existing text. Do not repeat content from the existing text.`;
+function buildBridgeRequest(ai, beforeText, afterText) {
+    const renderUserPrompt = (before, after) => BRIDGE_USER_PROMPT
+        .replace('{BEFORE_TEXT}', before)
+        .replace('{AFTER_TEXT}', after);
+
+    const budget = budgetContext({
+        modelKey: ai.model,
+        maxTokens: ai.tokensToGenerate,
+        fixedText: getSystemPrompt(ai.tokensToGenerate, ai.contextNotes, '') + renderUserPrompt('', ''),
+        contextNotes: ai.contextNotes,
+        docs: getEnabledContextDocs(),
+        currentText: beforeText,
+        followingText: afterText.replace(/\s+$/, ''),
+        summaries: getStorySoFarSummaries(),
+        lore: matchLorebook([
+            { source: 'recent text', text: beforeText.slice(-LOREBOOK_SCAN_CHARS) },
+            { source: 'following text', text: afterText.slice(0, LOREBOOK_SCAN_CHARS) }
+        ])
+    });
 
-const DEFAULT_USER_PROMPT = `Here is the story so far:\n\n{RECENT_TEXT}\n\nPlease continue the story naturally from where it left off.`;
+    return {
+        requestBody: {
+            model: ai.model,
+            messages: [
+                { role: 'system', content: getSystemPrompt(ai.tokensToGenerate, ai.contextNotes, budget.documentsContext, budget.storySoFar) },
+                { role: 'user', content: renderUserPrompt(budget.recentText, budget.followingText) }
+            ],
+            temperature: ai.temperature,
+            max_tokens: ai.tokensToGenerate
+        },
+        budget
+    };
+}
 
-function getSystemPrompt(tokensToGenerate, contextNotes, documentsContext) {
-    let prompt = settings.customSystemPrompt || DEFAULT_SYSTEM_PROMPT;
-    
-    prompt = prompt.replace('{TOKENS_TO_GENERATE}', tokensToGenerate);
-    
-    if (contextNotes) {
-        prompt = prompt.replace('{CONTEXT_NOTES}', `\n\nContext about the story:\n${contextNotes}`);
-    } else {
-        prompt = prompt.replace('{CONTEXT_NOTES}', '');
+// The chapter is fitted like a context document rather than as recent text:
+// whole when it fits, otherwise condensed, otherwise trimmed from its end so
+// the summary still sees how the chapter opens
+function fitChapterForSummary(ai, chapterText) {
+    const contextLength = getModelContextLength(ai.model);
+    const room = contextLength - SUMMARY_MAX_TOKENS - estimateTokens(SUMMARY_SYSTEM_PROMPT) -
+        Math.ceil(contextLength * CONTEXT_SAFETY_MARGIN);
+
+    if (estimateTokens(chapterText) <= room) {
+        return { text: chapterText, status: 'full' };
     }
-    
-    if (documentsContext) {
-        prompt = prompt.replace('{DOCUMENTS_CONTEXT}', documentsContext);
-    } else {
-        prompt = prompt.replace('{DOCUMENTS_CONTEXT}', '');
+    const condensed = condenseDocumentText(chapterText);
+    if (estimateTokens(condensed) <= room) {
+        return { text: condensed, status: 'condensed' };
     }
-    
-    return prompt;
+    return {
+        text: chapterText.slice(0, Math.max(room, 0) * CHARS_PER_TOKEN) + '\n[...trimmed to fit the context window]',
+        status: 'trimmed'
+    };
 }
 
-function getUserPrompt(recentText) {
-    let prompt = settings.customUserPrompt || DEFAULT_USER_PROMPT;
-    prompt = prompt.replace('{RECENT_TEXT}', recentText);
-    return prompt;
+function buildSummaryRequest(ai, chapterText) {
+    const chapter = fitChapterForSummary(ai, chapterText);
+    const budget = budgetContext({
+        modelKey: ai.model,
+        maxTokens: SUMMARY_MAX_TOKENS,
+        fixedText: SUMMARY_SYSTEM_PROMPT,
+        extraSections: [{ label: 'Chapter', tokens: estimateTokens(chapter.text), status: chapter.status }]
+    });
+
+    return {
+        requestBody: {
+            model: ai.model,
+            messages: [
+                { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+                { role: 'user', content: chapter.text }
+            ],
+            temperature: 0.3,
+            max_tokens: SUMMARY_MAX_TOKENS
+        },
+        budget
+    };
+}
+
+function buildGoRequest(ai) {
+    const renderSystemPrompt = (documentsContext) => `You are an expert novelist starting a new ${getCurrentProjectGenre() || 'story'}.
+Use ALL the context below to begin writing the first scene/chapter in a compelling, immersive style.
+Write in third-person limited (or first-person if the style guide says so).
+Start directly with action or vivid description – no summaries or "Chapter 1" titles unless instructed.
+${documentsContext}${ai.contextNotes ? `\n\nAdditional Notes:\n${ai.contextNotes}` : ''}`;
+    const userPrompt = 'Begin the story now.';
+
+    const budget = budgetContext({
+        modelKey: ai.model,
+        maxTokens: ai.tokensToGenerate,
+        fixedText: renderSystemPrompt('') + userPrompt,
+        contextNotes: ai.contextNotes,
+        docs: getEnabledContextDocs()
+    });
+
+    return {
+        requestBody: {
+            model: ai.model,
+            messages: [
+                { role: 'system', content: renderSystemPrompt(budget.documentsContext) },
+                { role: 'user', content: userPrompt }
+            ],
+            temperature: ai.temperature,
+            max_tokens: ai.tokensToGenerate
+        },
+        budget
+    };
+}
+
+function buildBrainstormRequest(ai) {
+    const currentText = currentDocumentId ? quillEditor.getText() : '';
+
+    const renderSystemPrompt = (documentsContext) => `You are a creative writing assistant. Generate 5 creative ideas for continuing or enhancing the story.
+${ai.contextNotes ? `\n\nContext:\n${ai.contextNotes}` : ''}
+${documentsContext}
+
+Format your response as a numbered list.`;
+    const renderUserPrompt = (recentText) => recentText.trim()
+        ? `Based on this story excerpt:\n\n${recentText}\n\nProvide 5 creative ideas for what could happen next or how to develop the narrative.`
+        : 'Provide 5 creative story ideas or writing prompts.';
+
+    const budget = budgetContext({
+        modelKey: ai.model,
+        maxTokens: BRAINSTORM_MAX_TOKENS,
+        // Measure the excerpt template, not the no-text fallback
+        fixedText: renderSystemPrompt('') + renderUserPrompt('.'),
+        contextNotes: ai.contextNotes,
+        docs: getEnabledContextDocs(),
+        currentText: currentText,
+        lore: matchLorebook([{ source: 'recent text', text: currentText.slice(-LOREBOOK_SCAN_CHARS) }])
+    });
+
+    return {
+        requestBody: {
+            model: ai.model,
+            messages: [
+                { role: 'system', content: renderSystemPrompt(budget.documentsContext) },
+                { role: 'user', content: renderUserPrompt(budget.recentText) }
+            ],
+            temperature: ai.temperature,
+            max_tokens: BRAINSTORM_MAX_TOKENS
+        },
+        budget
+    };
+}
+
+function buildImproveRequest(ai, selectedText, rewrite) {
+    const mode = REWRITE_MODES[rewrite.mode] || REWRITE_MODES.improve;
+
+    // A rewrite is roughly as long as its input unless the mode says
+    // otherwise; leave generous headroom
+    const maxTokens = Math.max(Math.ceil(estimateTokens(selectedText) * (mode.lengthFactor || 2)), 256);
+
+    let systemPrompt = `You are a professional editor. ${mode.instruction(rewrite.option)} Return only the rewritten text without any preamble or explanation.`;
+    const extraSections = [{ label: 'Selected text', tokens: estimateTokens(selectedText) }];
+
+    if (rewrite.mode === 'style') {
+        const styleGuide = getWritingStyleText();
+        systemPrompt += `\n\nWriting Style:\n${styleGuide || '(No Writing Style document in this project.)'}`;
+        extraSections.push({ label: 'Writing Style', tokens: estimateTokens(styleGuide) });
+    }
+
+    const budget = budgetContext({
+        modelKey: ai.model,
+        maxTokens: maxTokens,
+        fixedText: systemPrompt,
+        extraSections
+    });
+
+    return {
+        requestBody: {
+            model: ai.model,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: selectedText }
+            ],
+            temperature: ai.temperature,
+            max_tokens: maxTokens
+        },
+        budget
+    };
 }
 
-function previewAiRequest() {
-    if (!currentDocumentId) {
-        showToast('Please select a document first');
-        return;
-    }
+function buildChatRequest(ai, message, history, pinnedDocIds) {
+    const currentDoc = documents.find(d => d.id === currentDocumentId);
+    const currentText = currentDoc ? quillEditor.getText() : '';
+    const docs = currentProjectId ? getEnabledContextDocs() : [];
+
+    // Pinned documents go along even when their context toggle is off
+    documents
+        .filter(d => pinnedDocIds.includes(d.id) && d.projectId === currentProjectId && d.id !== currentDocumentId && !docs.includes(d))
+        .forEach(d => docs.push(d));
+
+    // Pym can propose document changes once there is a project to change,
+    // but the instructions only go along when the user seems to want one
+    const projectDocs = documents
+        .filter(d => d.projectId === currentProjectId)
+        .sort((a, b) => a.order - b.order);
+    const actionsText = currentProjectId && wantsChatActions(message, history)
+        ? `\n\n${CHAT_ACTIONS_PROMPT}\n\nProject documents:\n${projectDocs.map(d => `- ${d.title} (${d.type})`).join('\n') || '(none yet)'}`
+        : '';
+
+    // Passages from anywhere in the project that match the message
+    const retrievalLimit = Math.floor((getModelContextLength(ai.model) - CHAT_MAX_TOKENS) * RETRIEVAL_SHARE);
+    const passages = currentProjectId ? retrievePassages(message, currentProjectId, retrievalLimit) : [];
+    const passagesText = formatRetrievedPassages(passages);
+
+    const renderSystemPrompt = (recentText, documentsContext, retrievedText) => {
+        let contextText = '';
+        if (currentDoc && recentText.trim().length > 0) {
+            contextText += `\n\nCurrent document "${currentDoc.title}":\n${recentText}`;
+        }
+        contextText += documentsContext + retrievedText;
+        return `You are Pym, a helpful AI writing assistant. You help writers with their creative projects.${contextText ? '\n\nContext about the current project:' + contextText : ''}`;
+    };
+
+    const historyLimit = Math.floor((getModelContextLength(ai.model) - CHAT_MAX_TOKENS) * CHAT_HISTORY_SHARE);
+    const historyMessages = fitChatHistory(history, historyLimit).map(msg => ({ role: msg.role, content: msg.content }));
+
+    const budget = budgetContext({
+        modelKey: ai.model,
+        maxTokens: CHAT_MAX_TOKENS,
+        fixedText: renderSystemPrompt('', '', '') + message,
+        docs: docs,
+        pinnedDocIds: pinnedDocIds,
+        currentText: currentText,
+        lore: matchLorebook([
+            { source: 'chat message', text: message },
+            { source: 'recent text', text: currentText.slice(-LOREBOOK_SCAN_CHARS) }
+        ]),
+        extraSections: [{
+            label: `Chat history (${historyMessages.length} of ${history.length} messages)`,
+            tokens: estimateTokens(historyMessages.map(msg => msg.content).join('\n'))
+        }, ...(passages.length > 0 ? [{
+            label: `Retrieved passages (${passages.length})`,
+            tokens: estimateTokens(passagesText)
+        }] : []), ...(actionsText ? [{
+            label: 'Document change instructions',
+            tokens: estimateTokens(actionsText)
+        }] : [])]
+    });
 
-    const currentText = quillEditor.getText();
+    return {
+        requestBody: {
+            model: ai.model,
+            messages: [
+                { role: 'system', content: renderSystemPrompt(budget.recentText, budget.documentsContext, passagesText) + actionsText },
+                ...historyMessages,
+                { role: 'user', content: message }
+            ],
+            temperature: ai.temperature,
+            max_tokens: CHAT_MAX_TOKENS
+        },
+        budget: { ...budget, passages }
+    };
+}
 
-    // if (currentText.trim().length < 50) {
-    //     showToast('Write at least 50 characters to preview');
-    //     return;
-    // }
+// Range the Improve preview works on; captured when Preview opens because
+// the editor loses its selection once the modal takes focus
+let previewSelectionRange = null;
 
-    const model = document.getElementById('modelSelect').value;
-    const tokensToGenerate = parseInt(document.getElementById('tokensToGenerate').value);
-    const temperature = parseFloat(document.getElementById('temperature').value);
-    const contextNotes = document.getElementById('contextNotes').value;
+function previewAiRequest(action) {
+    const actionSelect = document.getElementById('previewActionSelect');
 
-    // Get enabled documents for this project (excluding current document), sorted by order
-    const enabledDocs = documents
-        .filter(d => d.projectId === currentProjectId && d.enabled && d.id !== currentDocumentId)
-        .sort((a, b) => a.order - b.order);
-    
-    let documentsContext = '';
-    if (enabledDocs.length > 0) {
-        documentsContext = '\n\nAdditional Context:\n' + enabledDocs.map(doc => {
-            const docText = new DOMParser().parseFromString(doc.content, 'text/html').body.textContent || '';
-            return `--- ${doc.type}: ${doc.title} ---\n${docText}\n`;
-        }).join('\n');
+    if (!action) {
+        previewSelectionRange = quillEditor.getSelection();
+        action = actionSelect.value || 'continue';
     }
+    actionSelect.value = action;
 
-    const recentText = currentText.slice(-4000);
-
-    const systemPrompt = getSystemPrompt(tokensToGenerate, contextNotes, documentsContext);
-    const userPrompt = getUserPrompt(recentText);
+    const needsDocument = ['continue', 'cursor', 'bridge', 'summarize', 'improve'].includes(action);
+    if (needsDocument && !currentDocumentId) {
+        showRequestPreviewMessage('Select a document to preview this action.');
+        return;
+    }
 
-    const requestBody = {
-        model: model,
-        messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-        ],
-        temperature: temperature,
-        max_tokens: tokensToGenerate
-    };
+    let options = {};
+    if (action === 'cursor' || action === 'bridge') {
+        options.cursorIndex = previewSelectionRange ? previewSelectionRange.index : quillEditor.getLength();
+    } else if (action === 'improve') {
+        if (!previewSelectionRange || previewSelectionRange.length === 0) {
+            showRequestPreviewMessage('Select text in the editor, then open Preview to see the Improve request.');
+            return;
+        }
+        options.selectedText = quillEditor.getText(previewSelectionRange.index, previewSelectionRange.length);
+    } else if (action === 'chat') {
+        options.message = document.getElementById('chatInput').value.trim() || '(your message)';
+        options.history = getChatContextHistory();
+    }
 
-    showRequestPreview(requestBody);
+    const { requestBody, budget } = buildAiRequest(action, options);
+    showRequestPreview(requestBody, budget, getRequestCopies(action));
 }
 
-function showRequestPreview(requestBody) {
+function showRequestPreview(requestBody, budget, copies = 1) {
     const modal = document.getElementById('requestPreviewModal');
     const apiContent = document.getElementById('requestPreviewContent');
     const docsContent = document.getElementById('documentsPreviewContent');
@@ -1269,19 +5835,38 @@ function showRequestPreview(requestBody) {
     // Format API request
     const formattedJson = JSON.stringify(requestBody, null, 2);
     apiContent.textContent = formattedJson;
+
+    renderBudgetBreakdown(budget);
+
+    const estimate = estimateRequestCost(requestBody, copies);
+    document.getElementById('previewCostEstimate').textContent =
+        `💰 Estimate: ${describeCostEstimate(estimate)} (up to ${estimate.maxCompletionTokens.toLocaleString()} completion tokens)`;
     
-    // Format documents preview
-    const enabledDocs = documents
-        .filter(d => d.projectId === currentProjectId && d.enabled && d.id !== currentDocumentId)
-        .sort((a, b) => a.order - b.order);
-    
+    // Documents exactly as they go into the prompt (after budgeting)
     let docsPreview = '';
-    if (enabledDocs.length === 0) {
-        docsPreview = 'No enabled documents to preview.';
+    if (budget.includedDocs.length === 0) {
+        docsPreview = 'No enabled documents are sent with this action.';
     } else {
-        enabledDocs.forEach(doc => {
-            const docText = new DOMParser().parseFromString(doc.content, 'text/html').body.textContent || '';
-            docsPreview += `[${doc.title}:Start]\n\n${docText.trim()}\n\n[${doc.title}:End]\n\n`;
+        budget.includedDocs.forEach(entry => {
+            docsPreview += `[${entry.doc.title}:Start]\n\n${entry.text.trim()}\n\n[${entry.doc.title}:End]\n\n`;
+        });
+    }
+
+    // Lorebook entries that fired, and why
+    if (budget.loreMatches.length > 0) {
+        docsPreview += '\n\nLorebook entries that fired:\n';
+        budget.loreMatches.forEach(match => {
+            const sent = match.status === 'omitted' ? ' (left out: no room in the context window)' : '';
+            docsPreview += `• ${match.entry.name}: "${match.term}" found in the ${match.source}${sent}\n`;
+        });
+    } else if (getProjectLorebook().some(entry => entry.enabled)) {
+        docsPreview += '\n\nNo lorebook entries fired for this action.';
+    }
+
+    if (budget.passages?.length > 0) {
+        docsPreview += '\n\nPassages retrieved for this message:\n';
+        budget.passages.forEach((passage, i) => {
+            docsPreview += `[${i + 1}] ${passage.title}: "${passage.text.slice(0, 80).replace(/\s+/g, ' ')}…"\n`;
         });
     }
     
@@ -1290,15 +5875,72 @@ function showRequestPreview(requestBody) {
     modal.style.display = 'flex';
 }
 
+function showRequestPreviewMessage(message) {
+    document.getElementById('previewCostEstimate').textContent = '';
+    document.getElementById('requestPreviewContent').textContent = message;
+    document.getElementById('documentsPreviewContent').textContent = message;
+    document.getElementById('budgetPreviewContent').innerHTML = '';
+    document.getElementById('budgetPreviewSummary').textContent = message;
+    document.getElementById('requestPreviewModal').style.display = 'flex';
+}
+
+function renderBudgetBreakdown(budget) {
+    const container = document.getElementById('budgetPreviewContent');
+    const summary = document.getElementById('budgetPreviewSummary');
+    if (!container || !budget) return;
+
+    const statusLabels = {
+        full: '',
+        trimmed: '✂️ trimmed',
+        omitted: '🚫 left out',
+        summarized: '📝 summary',
+        condensed: '🗜️ condensed',
+        reserved: '📥 reserved'
+    };
+
+    container.innerHTML = `
+        <table class="budget-table">
+            <thead>
+                <tr><th>Section</th><th>Tokens</th><th>Share</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${budget.sections.map(section => `
+                    <tr class="budget-row ${section.status}">
+                        <td>${escapeHtml(section.label)}</td>
+                        <td>${section.tokens.toLocaleString()}</td>
+                        <td>${Math.round((section.tokens / budget.contextLength) * 100)}%</td>
+                        <td>${statusLabels[section.status] || ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td>Total</td>
+                    <td>${budget.totalTokens.toLocaleString()}</td>
+                    <td>${Math.round((budget.totalTokens / budget.contextLength) * 100)}%</td>
+                    <td></td>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+
+    summary.textContent = budget.overBudget
+        ? `⚠️ Over budget: the reserved response alone leaves too little room in this model's ${budget.contextLength.toLocaleString()}-token context window. Lower "Tokens to Generate" or pick a larger model.`
+        : `Estimated ${budget.totalTokens.toLocaleString()} of ${budget.contextLength.toLocaleString()} tokens in the selected model's context window (about ${CHARS_PER_TOKEN} characters per token).`;
+}
+
 function closeRequestPreview() {
     document.getElementById('requestPreviewModal').style.display = 'none';
 }
 
 function copyRequestPreview() {
     const activeTab = document.querySelector('.preview-tab-btn.active').dataset.tab;
-    const content = activeTab === 'api' 
-        ? document.getElementById('requestPreviewContent').textContent
-        : document.getElementById('documentsPreviewContent').textContent;
+    const contentIds = {
+        api: 'requestPreviewContent',
+        documents: 'documentsPreviewContent',
+        budget: 'budgetPreviewContent'
+    };
+    const content = document.getElementById(contentIds[activeTab]).innerText;
     
     navigator.clipboard.writeText(content).then(() => {
         showToast('Copied to clipboard! 📋');
@@ -1316,10 +5958,7 @@ function switchPreviewTab(tabName) {
 }
 
 async function continueStory() {
-    if (!apiKey) {
-        showToast('Please add an API key in Settings');
-        return;
-    }
+    if (!ensureModelReady()) return;
 
     if (!currentDocumentId) {
         showToast('Please select a document first');
@@ -1337,83 +5976,64 @@ async function continueStory() {
     continueBtn.disabled = true;
     continueBtn.innerHTML = '<span class="toolbar-icon">⏳</span><span class="toolbar-label">Generating...</span>';
 
-    try {
-        const model = document.getElementById('modelSelect').value;
-        const tokensToGenerate = parseInt(document.getElementById('tokensToGenerate').value);
-        const temperature = parseFloat(document.getElementById('temperature').value);
-        const contextNotes = document.getElementById('contextNotes').value;
-
-        const enabledDocs = documents
-            .filter(d => d.projectId === currentProjectId && d.enabled && d.id !== currentDocumentId)
-            .sort((a, b) => a.order - b.order);
-        
-        let documentsContext = '';
-        if (enabledDocs.length > 0) {
-            documentsContext = '\n\nAdditional Context:\n' + enabledDocs.map(doc => {
-                const docText = new DOMParser().parseFromString(doc.content, 'text/html').body.textContent || '';
-                return `--- ${doc.type}: ${doc.title} ---\n${docText}\n`;
-            }).join('\n');
-        }
-
-        const recentText = currentText.slice(-4000);
-
-        const systemPrompt = getSystemPrompt(tokensToGenerate, contextNotes, documentsContext);
-        const userPrompt = getUserPrompt(recentText);
-
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-                'HTTP-Referer': window.location.origin,
-                'X-Title': 'Pym Write'
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: temperature,
-                max_tokens: tokensToGenerate
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        const aiText = data.choices[0].message.content.trim();
+    const signal = beginAiRequest('Continue');
 
-        lastAiResponse = aiText;
-        showAiOutput(aiText);
+    try {
+        const { requestBody, budget } = buildAiRequest('continue');
+        if (!ensureWithinBudget(budget)) return;
+        await streamToAiOutput(requestBody, signal);
 
     } catch (error) {
+        if (isAbortError(error)) return;
         console.error('AI Error:', error);
         showToast('AI generation failed. Check your API key and try again.');
     } finally {
+        endAiRequest(signal);
         continueBtn.disabled = false;
         continueBtn.innerHTML = '<span class="toolbar-icon">✨</span><span class="toolbar-label">Continue</span>';
     }
 }
 
 async function continueFromCursor() {
-    if (!apiKey) {
-        showToast('Please add an API key in Settings');
-        return;
-    }
+    await generateAtCursor('cursor');
+}
+
+// Fill-in-the-middle: writes a passage connecting the text before the
+// cursor to the text after it
+async function bridgeAtCursor() {
+    await generateAtCursor('bridge');
+}
+
+// Shared flow for 'cursor' and 'bridge': both stream into the editor at the
+// cursor for Accept/Reject
+async function generateAtCursor(action) {
+    if (!ensureModelReady()) return;
     if (!currentDocumentId) {
         showToast('Please select a document first');
         return;
     }
 
+    if (isStreaming) {
+        showToast('Already generating...');
+        return;
+    }
+
+    if (pendingRewrite) {
+        showToast('Accept or reject the rewrite first');
+        return;
+    }
+
     const range = quillEditor.getSelection();
     if (!range || range.index < 30) {
         showToast('Place your cursor after some text to continue');
         return;
     }
 
+    if (action === 'bridge' && quillEditor.getText(range.index).trim().length === 0) {
+        showToast('Bridge needs text after the cursor. Use Continue instead.');
+        return;
+    }
+
     showGeneratingState(true);
 
     const currentText = quillEditor.getText();
@@ -1430,69 +6050,41 @@ async function continueFromCursor() {
         topBtn.innerHTML = '<span class="toolbar-icon">⏳</span><span class="toolbar-label">Generating...</span>';
     }
 
-    try {
-        const model = document.getElementById('modelSelect').value;
-        const tokensToGenerate = parseInt(document.getElementById('tokensToGenerate').value);
-        const temperature = parseFloat(document.getElementById('temperature').value);
-        const contextNotes = document.getElementById('contextNotes').value;
-
-        const enabledDocs = documents
-            .filter(d => d.projectId === currentProjectId && d.enabled && d.id !== currentDocumentId)
-            .sort((a, b) => a.order - b.order);
-
-        let documentsContext = '';
-        if (enabledDocs.length > 0) {
-            documentsContext = '\n\nAdditional Context:\n' + enabledDocs.map(doc => {
-                const docText = new DOMParser().parseFromString(doc.content, 'text/html').body.textContent || '';
-                return `--- ${doc.type}: ${doc.title} ---\n${docText}\n`;
-            }).join('\n');
-        }
-
-        const recentText = currentText.slice(-4000);
-        const systemPrompt = getSystemPrompt(tokensToGenerate, contextNotes, documentsContext);
-        const userPrompt = getUserPrompt(recentText);
-
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-                'HTTP-Referer': window.location.origin,
-                'X-Title': 'Pym Write'
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: temperature,
-                max_tokens: tokensToGenerate,
-                stream: false
-            })
-        });
+    const signal = beginAiRequest(action === 'bridge' ? 'Bridge' : 'Continue');
 
-        if (!response.ok) throw new Error(`API error: ${response.status}`);
-        const data = await response.json();
-        const aiText = data.choices[0].message.content.trim();
+    try {
+        const { requestBody, budget } = buildAiRequest(action, { cursorIndex: range.index });
+        if (!ensureWithinBudget(budget)) return;
 
         hideFloatingContinueButton();
-        
+
         // Scroll to cursor position before starting stream
         const quillContainer = document.querySelector('.ql-container');
-        if (quillContainer) {
+        if (quillContainer && action === 'cursor') {
             setTimeout(() => {
                 quillContainer.scrollTop = quillContainer.scrollHeight;
             }, 100);
         }
-        
-        // Stream-type insertion at cursor
-        streamInsertAtCursor(aiText, range.index);
+
+        // Insert tokens at the cursor as they arrive
+        await generateIntoEditor(requestBody, range.index, signal);
 
     } catch (error) {
+        // Stop already handed the partial text to Accept/Reject; a request
+        // that started in the meantime didn't, so do it here
+        if (isAbortError(error)) {
+            if (isStreaming) {
+                finishStreamInsert();
+                syncActiveCandidate();
+            }
+            return;
+        }
         console.error('AI Error:', error);
+        // Keep whatever arrived before the failure so it can still be reviewed
+        if (isStreaming) finishStreamInsert();
         showToast('Generation failed. Check API key and internet.');
     } finally {
+        endAiRequest(signal);
         if (topBtn) {
             topBtn.disabled = false;
             topBtn.innerHTML = originalTopHTML;
@@ -1527,13 +6119,15 @@ function updateFloatingContinueButton() {
 
     const continueBtn = document.getElementById('floatingContinueBtn');
     const goBtn = document.getElementById('floatingGoBtn');
+    const bridgeBtn = document.getElementById('floatingBridgeBtn');
 
     const fullText = quillEditor.getText();
     const textBeforeCursor = quillEditor.getText(0, range.index);
 
-    // Hide both by default
+    // Hide all by default
     continueBtn.style.display = 'none';
     goBtn.style.display = 'none';
+    bridgeBtn.style.display = 'none';
 
     // CASE 1: Blank document → show "Go" button
     if (fullText.trim().length === 0 && hasEnabledContextDocuments()) {
@@ -1548,6 +6142,14 @@ function updateFloatingContinueButton() {
         positionFloatingButton(continueBtn, range);
         continueBtn.style.display = 'block';
         continueBtn.classList.add('ready');
+
+        // CASE 3: Mid-text → also offer to bridge to what follows
+        if (quillEditor.getText(range.index).trim().length > 0) {
+            positionFloatingButton(bridgeBtn, range);
+            bridgeBtn.style.left = (parseFloat(continueBtn.style.left) + continueBtn.offsetWidth + 8) + 'px';
+            bridgeBtn.style.display = 'block';
+            bridgeBtn.classList.add('ready');
+        }
     }
 }
 
@@ -1561,220 +6163,738 @@ function hasEnabledContextDocuments() {
     );
 }
 
-// Shared positioning logic (works perfectly with scroll)
-function positionFloatingButton(btn, range) {
-    const bounds = quillEditor.getBounds(range.index);
-    const quillContainer = document.querySelector('.ql-container'); // CHANGED: Get container instead
-    const editor = document.querySelector('.ql-editor');
-    const rect = editor.getBoundingClientRect();
+// Shared positioning logic (works perfectly with scroll)
+function positionFloatingButton(btn, range) {
+    const bounds = quillEditor.getBounds(range.index);
+    const quillContainer = document.querySelector('.ql-container'); // CHANGED: Get container instead
+    const editor = document.querySelector('.ql-editor');
+    const rect = editor.getBoundingClientRect();
+
+    // FIXED: Use quillContainer scroll position instead of editor
+    const scrollTop = quillContainer ? quillContainer.scrollTop : 0;
+    const scrollLeft = quillContainer ? quillContainer.scrollLeft : 0;
+
+    let x = rect.left + bounds.left + scrollLeft + 12;
+    let y = rect.top + bounds.bottom - scrollTop + 10; // CHANGED: subtract scrollTop
+    let flipped = false;
+   
+    // Flip button above the line if it would be off-screen
+    const buttonHeight = 50; // approx height of floating button
+    const spaceBelow = window.innerHeight - (rect.top + bounds.bottom - scrollTop);
+    
+    if (spaceBelow < buttonHeight + 20) {
+        y = rect.top + bounds.top - scrollTop - buttonHeight - 8;
+        flipped = true;
+    }
+
+    btn.classList.toggle('flipped', flipped);
+
+    btn.style.position = 'fixed';
+    btn.style.left = x + 'px';
+    btn.style.top = y + 'px';
+}
+
+// Also update startFromScratch function
+async function startFromScratch() {
+    if (isStreaming) {
+        showToast('Already generating...');
+        return;
+    }
+
+    showGeneratingState(true, true);
+
+    if (!ensureModelReady()) {
+        showGeneratingState(false, true);
+        return;
+    }
+
+    const { requestBody, budget } = buildAiRequest('go');
+    if (!ensureWithinBudget(budget)) {
+        showGeneratingState(false, true);
+        return;
+    }
+
+    const signal = beginAiRequest('Go');
+
+    try {
+        hideFloatingContinueButton();
+        
+        // Scroll to top before starting stream
+        const quillContainer = document.querySelector('.ql-container');
+        if (quillContainer) {
+            quillContainer.scrollTop = 0;
+        }
+
+        // Stream from the very beginning
+        await generateIntoEditor(requestBody, 0, signal);
+
+    } catch (err) {
+        // Cancelled by Stop or by another request starting; see generateAtCursor
+        if (isAbortError(err)) {
+            if (isStreaming) {
+                finishStreamInsert();
+                syncActiveCandidate();
+            }
+            return;
+        }
+        console.error(err);
+        if (isStreaming) finishStreamInsert();
+        showToast('Failed to start. Check API key.');
+    } finally {
+        endAiRequest(signal);
+        showGeneratingState(false, true);  
+    }
+}
+
+function getCurrentProjectGenre() {
+    const project = projects.find(p => p.id === currentProjectId);
+    return project?.genre || '';
+}
+
+function hideFloatingContinueButton() {
+    document.getElementById('floatingContinueBtn').style.display = 'none';
+    document.getElementById('floatingGoBtn').style.display = 'none';
+    document.getElementById('floatingBridgeBtn').style.display = 'none';
+    document.querySelectorAll('.floating-continue-btn, .floating-go-btn').forEach(b => b.classList.remove('ready'));
+}
+
+function showGeneratingState(isGenerating, isGoButton = false) {
+    const continueBtn = document.getElementById('floatingContinueBtn');
+    const goBtn = document.getElementById('floatingGoBtn');
+    const topBtn = document.getElementById('continueBtn');
+
+    if (isGoButton) {
+        if (isGenerating) goBtn.classList.add('generating');
+        else goBtn.classList.remove('generating');
+    } else {
+        if (isGenerating) continueBtn.classList.add('generating');
+        else continueBtn.classList.remove('generating');
+    }
+
+    // Also update top toolbar button
+    if (topBtn) {
+        const icon = topBtn.querySelector('.toolbar-icon');
+        const label = topBtn.querySelector('.toolbar-label');
+        if (isGenerating) {
+            icon.textContent = '⏳';
+            label.textContent = 'Generating...';
+            topBtn.disabled = true;
+        } else {
+            icon.textContent = '✨';
+            label.textContent = 'Continue';
+            topBtn.disabled = false;
+        }
+    }
+}
+
+/* ========== REQUEST CANCELLATION ========== */
+
+// Every AI call shares one AbortController so Stop, Escape and switching
+// documents can cancel whatever is in flight.
+let aiAbortController = null;
+// What the in-flight request is doing, e.g. 'the chat reply'
+let aiRequestLabel = '';
+
+// Starts a cancellable AI request and returns its signal. Only one request
+// runs at a time, so anything still in flight is aborted first and the
+// user is told what was stopped.
+function beginAiRequest(label) {
+    const previousLabel = aiRequestLabel;
+    if (cancelAiRequest()) {
+        showToast(`Stopped ${previousLabel} to start ${label}`, 4000);
+    }
+    aiAbortController = new AbortController();
+    aiRequestLabel = label;
+    showStopButton();
+    return aiAbortController.signal;
+}
+
+// Releases the shared controller once the request that owns it has settled
+function endAiRequest(signal) {
+    if (aiAbortController && aiAbortController.signal === signal) {
+        aiAbortController = null;
+        aiRequestLabel = '';
+        if (!isStreaming && !alternativesController) hideStopButton();
+    }
+}
+
+function cancelAiRequest() {
+    if (!aiAbortController) return false;
+    aiAbortController.abort();
+    aiAbortController = null;
+    aiRequestLabel = '';
+    return true;
+}
+
+function isAiRequestActive() {
+    return aiAbortController !== null || alternativesController !== null || isStreaming;
+}
+
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+// Cancels generation before the editor changes documents. Text already
+// streamed into the old document is kept (highlight removed) so it is saved
+// with that document instead of being left untracked.
+function settleGenerationBeforeSwitch() {
+    cancelAiRequest();
+    preserveConflictedText();
+
+    if (isStreaming) {
+        isStreaming = false;
+        hideStopButton();
+        showGeneratingState(false);
+        showGeneratingState(false, true);
+    }
+
+    if (generatedTextStartIndex !== null && generatedTextLength > 0) {
+        quillEditor.formatText(generatedTextStartIndex, generatedTextLength, { color: false });
+        hasUnsavedChanges = true;
+    }
+
+    generatedTextStartIndex = null;
+    generatedTextLength = 0;
+    clearGenerationCandidates();
+
+    // An unreviewed rewrite must not be saved as a diff
+    if (pendingRewrite) {
+        rejectRewrite(true);
+    }
+
+    hideAcceptRejectButtons();
+}
+
+/* ========== STREAMING ========== */
+
+// Sends a chat/completions request with stream: true and hands every content
+// delta to onDelta as it arrives. Resolves with the full text once the
+// server-sent event stream ends; rejects with an AbortError if signal fires.
+async function streamChatCompletion(requestBody, onDelta, signal) {
+    const response = await fetchChatCompletion({ ...requestBody, stream: true }, signal);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+    let usage = null;
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // SSE events are newline-delimited; keep the trailing partial line for the next chunk
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                // Skip blank lines and keep-alive comments (": OPENROUTER PROCESSING")
+                if (!trimmed.startsWith('data:')) continue;
+
+                const payload = trimmed.slice(5).trim();
+                if (payload === '[DONE]') return fullText;
+
+                let chunk;
+                try {
+                    chunk = JSON.parse(payload);
+                } catch (e) {
+                    continue;
+                }
+
+                if (chunk.error) {
+                    throw new Error(chunk.error.message || 'Stream error');
+                }
+
+                // The usage block arrives in the last chunk, usually with no choices
+                if (chunk.usage) {
+                    usage = chunk.usage;
+                }
+
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) {
+                    fullText += delta;
+                    onDelta(delta);
+                }
+            }
+        }
+
+        return fullText;
+    } finally {
+        // A stopped stream never gets its usage block, so it is logged as an estimate
+        recordUsage(requestBody, usage, fullText);
+    }
+}
+
+/* ========== REWRITE REVIEW ========== */
+
+// Range captured when the rewrite dialog opens
+let rewriteSelectionRange = null;
+// Rewrite under review: { index, diffLength, originalDelta, rewrittenText,
+// baseFormat, acceptedDelta }. While set, the range holds the inline diff,
+// not real text.
+let pendingRewrite = null;
+
+const REWRITE_DELETED_FORMAT = { color: '#e74c3c', strike: true };
+const REWRITE_INSERTED_FORMAT = { color: '#9b59b6', underline: true };
+// Word-level LCS is quadratic; past this many cells show a whole-range swap
+const MAX_DIFF_CELLS = 4000000;
+// Formats carried from the selection onto the rewritten text
+const INLINE_FORMATS = ['bold', 'italic', 'underline', 'strike', 'color', 'background', 'font', 'size', 'script', 'link', 'code'];
+
+// Splits text into words and the whitespace between them
+function tokenizeForDiff(text) {
+    return text.match(/\s+|[^\s]+/g) || [];
+}
+
+// Word-level diff as [{ type: 'equal' | 'delete' | 'insert', text }]
+function diffWords(oldText, newText) {
+    let a = tokenizeForDiff(oldText);
+    let b = tokenizeForDiff(newText);
+    const ops = [];
+    const push = (type, text) => {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            ops.push({ type, text });
+        }
+    };
+
+    // The unchanged start and end don't need the quadratic part
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const suffixText = a.slice(a.length - suffix).join('');
+    if (prefix > 0) push('equal', a.slice(0, prefix).join(''));
+    a = a.slice(prefix, a.length - suffix);
+    b = b.slice(prefix, b.length - suffix);
+
+    if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+        if (a.length > 0) push('delete', a.join(''));
+        if (b.length > 0) push('insert', b.join(''));
+        if (suffix > 0) push('equal', suffixText);
+        return ops;
+    }
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..], flattened
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i * width + j] = a[i] === b[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            push('delete', a[i++]);
+        } else {
+            push('insert', b[j++]);
+        }
+    }
+    while (i < a.length) push('delete', a[i++]);
+    while (j < b.length) push('insert', b[j++]);
+    if (suffix > 0) push('equal', suffixText);
+
+    return ops;
+}
+
+// Replaces the range with an inline diff of the original against the
+// rewrite and hands it to Accept/Reject
+function showRewriteDiff(range, rewrittenText) {
+    const originalText = quillEditor.getText(range.index, range.length);
+    const originalDelta = quillEditor.getContents(range.index, range.length);
+
+    // Inline formatting at the start of the selection carries over to the
+    // accepted text (minus anything the diff itself uses)
+    const baseFormat = pickInlineFormats(quillEditor.getFormat(range.index, 0), ['color', 'strike', 'underline']);
+
+    quillEditor.deleteText(range.index, range.length);
+
+    const ops = diffWords(originalText, rewrittenText);
+    let position = range.index;
+    ops.forEach(op => {
+        const format = op.type === 'delete' ? REWRITE_DELETED_FORMAT
+            : op.type === 'insert' ? REWRITE_INSERTED_FORMAT
+            : {};
+        quillEditor.insertText(position, op.text, { ...baseFormat, ...format });
+        position += op.text.length;
+    });
 
-    // FIXED: Use quillContainer scroll position instead of editor
-    const scrollTop = quillContainer ? quillContainer.scrollTop : 0;
-    const scrollLeft = quillContainer ? quillContainer.scrollLeft : 0;
+    pendingRewrite = {
+        index: range.index,
+        diffLength: position - range.index,
+        originalDelta,
+        rewrittenText,
+        baseFormat,
+        // Embeds don't appear in the text the diff ran on, so positions
+        // only line up with the Delta when there are none
+        acceptedDelta: originalDelta.length() === originalText.length
+            ? buildAcceptedRewrite(originalDelta, ops)
+            : null
+    };
 
-    let x = rect.left + bounds.left + scrollLeft + 12;
-    let y = rect.top + bounds.bottom - scrollTop + 10; // CHANGED: subtract scrollTop
-    let flipped = false;
-   
-    // Flip button above the line if it would be off-screen
-    const buttonHeight = 50; // approx height of floating button
-    const spaceBelow = window.innerHeight - (rect.top + bounds.bottom - scrollTop);
-    
-    if (spaceBelow < buttonHeight + 20) {
-        y = rect.top + bounds.top - scrollTop - buttonHeight - 8;
-        flipped = true;
-    }
+    quillEditor.setSelection(position, 0);
+    hasUnsavedChanges = true;
+    updateWordCount();
+    showAcceptRejectButtons();
+}
 
-    btn.classList.toggle('flipped', flipped);
+// Builds the accepted text as a Delta. Unchanged words keep their original
+// runs; inserted words take the inline formats of the original text just
+// before them, so bold, italics and links in the selection survive.
+function buildAcceptedRewrite(originalDelta, ops) {
+    const Delta = Quill.import('delta');
+    let accepted = new Delta();
+    let position = 0;
+
+    ops.forEach(op => {
+        if (op.type === 'equal') {
+            accepted = accepted.concat(originalDelta.slice(position, position + op.text.length));
+            position += op.text.length;
+        } else if (op.type === 'delete') {
+            position += op.text.length;
+        } else {
+            const neighbour = originalDelta.slice(Math.max(position - 1, 0), Math.max(position, 1)).ops[0];
+            accepted.insert(op.text, pickInlineFormats(neighbour?.attributes || {}));
+        }
+    });
 
-    btn.style.position = 'fixed';
-    btn.style.left = x + 'px';
-    btn.style.top = y + 'px';
+    return accepted;
 }
 
-// Also update startFromScratch function
-async function startFromScratch() {
-    showGeneratingState(true, true);
+// Swaps the diff for the rewritten text, replacing exactly the original range
+function acceptRewrite() {
+    const { index, diffLength, rewrittenText, baseFormat, acceptedDelta } = pendingRewrite;
 
-    if (!apiKey) {
-        showToast('Add your OpenRouter API key in Settings');
-        showGeneratingState(false, true);
-        return;
+    quillEditor.deleteText(index, diffLength);
+    if (acceptedDelta) {
+        const Delta = Quill.import('delta');
+        quillEditor.updateContents(new Delta().retain(index).concat(acceptedDelta));
+    } else {
+        quillEditor.insertText(index, rewrittenText, baseFormat);
     }
+    quillEditor.setSelection(index + rewrittenText.length, 0);
 
-    const model = document.getElementById('modelSelect').value;
-    const tokens = parseInt(document.getElementById('tokensToGenerate').value);
-    const temp = parseFloat(document.getElementById('temperature').value);
-    const contextNotes = document.getElementById('contextNotes').value;
+    finishRewriteReview();
+    showToast('Rewrite accepted! ✨');
+}
 
-    const enabledDocs = documents
-        .filter(d => d.projectId === currentProjectId && d.enabled && d.id !== currentDocumentId)
-        .sort((a, b) => a.order - b.order);
+// Swaps the diff back for the original text and its formatting
+function rejectRewrite(silent = false) {
+    const { index, diffLength, originalDelta } = pendingRewrite;
+    const Delta = Quill.import('delta');
 
-    let fullContext = enabledDocs.map(doc => {
-        const text = new DOMParser().parseFromString(doc.content, 'text/html').body.textContent || '';
-        return `--- ${doc.type}: ${doc.title} ---\n${text.trim()}\n`;
-    }).join('\n');
+    quillEditor.deleteText(index, diffLength);
+    quillEditor.updateContents(new Delta().retain(index).concat(originalDelta));
+    quillEditor.setSelection(index + originalDelta.length(), 0);
 
-    if (contextNotes) fullContext += `\n\nAdditional Notes:\n${contextNotes}`;
+    finishRewriteReview();
+    if (!silent) showToast('Rewrite rejected');
+}
 
-    const systemPrompt = `You are an expert novelist starting a new ${getCurrentProjectGenre() || 'story'}.
-Use ALL the context below to begin writing the first scene/chapter in a compelling, immersive style.
-Write in third-person limited (or first-person if the style guide says so).
-Start directly with action or vivid description – no summaries or "Chapter 1" titles unless instructed.
+function finishRewriteReview() {
+    pendingRewrite = null;
+    rewriteSelectionRange = null;
+    hasUnsavedChanges = true;
+    updateWordCount();
+    hideAcceptRejectButtons();
+}
 
-Context:
-${fullContext}`;
+/* ========== ALTERNATIVE CONTINUATIONS ========== */
+
+// Candidates generated for the current Accept/Reject range. Each is
+// { text, status } with status 'streaming', 'done' or 'failed'; only one is
+// shown in the editor at a time, at generatedTextStartIndex.
+let generationCandidates = [];
+let activeCandidateIndex = 0;
+// Request behind the current candidates, reused by Regenerate
+let lastGenerationRequest = null;
+// Background alternatives outlive the request that started them, so they
+// get their own controller that Stop and document switches can still abort
+let alternativesController = null;
+
+// Streams the first candidate into the editor and, when more alternatives are
+// requested, generates the rest as parallel requests in the background.
+// Resolves once the first candidate is done; the rest keep streaming.
+async function generateIntoEditor(requestBody, startIndex, signal) {
+    const count = settings.alternativesCount || 1;
+
+    cancelAlternatives();
+    lastGenerationRequest = requestBody;
+    generationCandidates = [];
+    for (let i = 0; i < count; i++) {
+        generationCandidates.push({ text: '', status: 'streaming' });
+    }
+    activeCandidateIndex = 0;
+
+    if (count > 1) {
+        const controller = new AbortController();
+        alternativesController = controller;
+        const background = generationCandidates.slice(1).map(candidate => streamCandidate(requestBody, candidate, controller.signal, false));
+        Promise.allSettled(background).then(() => {
+            if (alternativesController !== controller) return;
+            alternativesController = null;
+            if (!isAiRequestActive()) hideStopButton();
+            updateCandidateNav();
+        });
+    }
+
+    beginStreamInsert(startIndex);
+    try {
+        await streamCandidate(requestBody, generationCandidates[0], signal, true);
+    } catch (error) {
+        // Alternatives to a continuation that failed have nothing to sit beside
+        cancelAlternatives();
+        throw error;
+    }
+    finishStreamInsert();
+    syncActiveCandidate();
+}
 
-    const userPrompt = "Begin the story now.";
+// Aborts alternatives still generating in the background
+function cancelAlternatives() {
+    if (!alternativesController) return false;
+    alternativesController.abort();
+    alternativesController = null;
+    return true;
+}
 
+async function streamCandidate(requestBody, candidate, signal, isLive) {
+    updateCandidateNav();
     try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-                'HTTP-Referer': window.location.origin,
-                'X-Title': 'Pym Write'
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: temp,
-                max_tokens: tokens
-            })
-        });
+        await streamChatCompletion(requestBody, (delta) => {
+            candidate.text += delta;
+            if (isLive) appendStreamText(delta);
+        }, signal);
+        candidate.status = 'done';
+    } catch (error) {
+        // A stopped candidate keeps whatever it had so far
+        candidate.status = isAbortError(error) && candidate.text.trim() ? 'done' : 'failed';
+        if (isLive) throw error;
+    } finally {
+        candidate.text = candidate.text.trim();
+        updateCandidateNav();
+    }
+}
 
-        if (!response.ok) throw new Error('API error');
+// The live candidate's text is whatever ended up in the editor
+function syncActiveCandidate() {
+    const candidate = generationCandidates[activeCandidateIndex];
+    if (!candidate || generatedTextStartIndex === null) return;
+    candidate.text = quillEditor.getText(generatedTextStartIndex, generatedTextLength);
+}
 
-        const data = await response.json();
-        const generatedText = data.choices[0].message.content.trim();
+function showCandidate(index) {
+    const candidate = generationCandidates[index];
+    if (!candidate || isStreaming || generatedTextStartIndex === null) return;
 
-        hideFloatingContinueButton();
-        
-        // Scroll to top before starting stream
-        const quillContainer = document.querySelector('.ql-container');
-        if (quillContainer) {
-            quillContainer.scrollTop = 0;
+    quillEditor.deleteText(generatedTextStartIndex, generatedTextLength);
+    quillEditor.insertText(generatedTextStartIndex, candidate.text, { color: '#9b59b6' });
+    generatedTextLength = candidate.text.length;
+    activeCandidateIndex = index;
+
+    quillEditor.setSelection(generatedTextStartIndex + generatedTextLength, 0);
+    hasUnsavedChanges = true;
+    updateWordCount();
+    updateCandidateNav();
+}
+
+// Moves to the next finished candidate in the given direction (-1 or 1)
+function cycleCandidate(step) {
+    if (generationCandidates.length < 2 || isStreaming) return;
+
+    for (let i = 1; i < generationCandidates.length; i++) {
+        const index = (activeCandidateIndex + step * i + generationCandidates.length) % generationCandidates.length;
+        if (generationCandidates[index].status === 'done') {
+            showCandidate(index);
+            return;
         }
+    }
 
-        // Stream from the very beginning
-        streamInsertAtCursor(generatedText, 0);
+    showToast(generationCandidates.some(c => c.status === 'streaming')
+        ? 'Alternatives are still generating...'
+        : 'No other alternatives available');
+}
 
-    } catch (err) {
-        console.error(err);
-        showToast('Failed to start. Check API key.');
+// Streams one more candidate into place, keeping the ones already generated
+async function regenerateCandidate() {
+    if (!lastGenerationRequest || isStreaming || generatedTextStartIndex === null) return;
+    if (!ensureModelReady()) return;
+
+    const startIndex = generatedTextStartIndex;
+    quillEditor.deleteText(startIndex, generatedTextLength);
+    generatedTextLength = 0;
+
+    const candidate = { text: '', status: 'streaming' };
+    generationCandidates.push(candidate);
+    activeCandidateIndex = generationCandidates.length - 1;
+
+    hideAcceptRejectButtons();
+    const signal = beginAiRequest('Regenerate');
+
+    try {
+        beginStreamInsert(startIndex);
+        await streamCandidate(lastGenerationRequest, candidate, signal, true);
+        finishStreamInsert();
+        syncActiveCandidate();
+    } catch (error) {
+        // Stop settles the stream itself; another request starting doesn't
+        if (isAbortError(error)) {
+            if (isStreaming) {
+                finishStreamInsert();
+                syncActiveCandidate();
+            }
+            return;
+        }
+        console.error('AI Error:', error);
+        if (isStreaming) finishStreamInsert();
+        showToast('Regeneration failed. Check API key and internet.');
     } finally {
-        showGeneratingState(false, true);  
+        endAiRequest(signal);
+        if (candidate.status === 'failed') restoreAfterFailedCandidate(candidate, startIndex);
+        updateCandidateNav();
     }
 }
 
-function getCurrentProjectGenre() {
-    const project = projects.find(p => p.id === currentProjectId);
-    return project?.genre || '';
+// A regeneration that produced nothing falls back to the last good candidate
+function restoreAfterFailedCandidate(candidate, startIndex) {
+    const index = generationCandidates.indexOf(candidate);
+    if (index === -1) return;
+    generationCandidates.splice(index, 1);
+    if (generationCandidates.length === 0 || isStreaming) return;
+
+    // finishStreamInsert releases the range when nothing was inserted
+    if (generatedTextStartIndex === null) {
+        generatedTextStartIndex = startIndex;
+        generatedTextLength = 0;
+    }
+
+    const fallback = generationCandidates.map(c => c.status).lastIndexOf('done');
+    if (fallback === -1) return;
+    showCandidate(fallback);
+    showAcceptRejectButtons();
 }
 
-function hideFloatingContinueButton() {
-    document.getElementById('floatingContinueBtn').style.display = 'none';
-    document.getElementById('floatingGoBtn').style.display = 'none';
-    document.querySelectorAll('.floating-continue-btn, .floating-go-btn').forEach(b => b.classList.remove('ready'));
+// Drops all candidates, cancelling any still generating in the background
+function clearGenerationCandidates() {
+    cancelAlternatives();
+    generationCandidates = [];
+    activeCandidateIndex = 0;
+    lastGenerationRequest = null;
+    updateCandidateNav();
 }
 
-function showGeneratingState(isGenerating, isGoButton = false) {
-    const continueBtn = document.getElementById('floatingContinueBtn');
-    const goBtn = document.getElementById('floatingGoBtn');
-    const topBtn = document.getElementById('continueBtn');
+function updateCandidateNav() {
+    const nav = document.getElementById('candidateNav');
+    const regenerateBtn = document.getElementById('regenerateBtn');
+    if (!nav || !regenerateBtn) return;
 
-    if (isGoButton) {
-        if (isGenerating) goBtn.classList.add('generating');
-        else goBtn.classList.remove('generating');
-    } else {
-        if (isGenerating) continueBtn.classList.add('generating');
-        else continueBtn.classList.remove('generating');
-    }
+    nav.style.display = generationCandidates.length > 1 ? 'flex' : 'none';
+    regenerateBtn.style.display = lastGenerationRequest ? 'flex' : 'none';
+    regenerateBtn.disabled = isStreaming;
 
-    // Also update top toolbar button
-    if (topBtn) {
-        const icon = topBtn.querySelector('.toolbar-icon');
-        const label = topBtn.querySelector('.toolbar-label');
-        if (isGenerating) {
-            icon.textContent = '⏳';
-            label.textContent = 'Generating...';
-            topBtn.disabled = true;
-        } else {
-            icon.textContent = '✨';
-            label.textContent = 'Continue';
-            topBtn.disabled = false;
-        }
-    }
+    const pending = generationCandidates.filter(c => c.status === 'streaming').length;
+    document.getElementById('candidateCounter').textContent =
+        `${activeCandidateIndex + 1} / ${generationCandidates.length}${pending > 0 ? ` (${pending} generating…)` : ''}`;
+    nav.querySelectorAll('button').forEach(btn => btn.disabled = isStreaming);
+}
+
+function setAlternativesCount(value) {
+    settings.alternativesCount = parseInt(value) || 1;
+    autoSave();
+    updateCostEstimate();
 }
 
-// Beautiful character-by-character streaming effect with auto-scroll
-function streamInsertAtCursor(text, startIndex) {
+// Prepares the editor to receive streamed text at startIndex
+function beginStreamInsert(startIndex) {
     isStreaming = true;
     showStopButton();
-    
+
     // Store the starting position and reset length
     generatedTextStartIndex = startIndex;
     generatedTextLength = 0;
-    
-    // Get the actual scrollable elements
+}
+
+// Inserts one streamed delta (purple) after the text generated so far
+function appendStreamText(text) {
+    if (!isStreaming || generatedTextStartIndex === null) return;
+
+    // Models often open with a newline or space; drop it like the old trimmed response did
+    if (generatedTextLength === 0) {
+        text = text.replace(/^\s+/, '');
+    }
+    if (!text) return;
+
+    const insertIndex = generatedTextStartIndex + generatedTextLength;
+    quillEditor.insertText(insertIndex, text, { color: '#9b59b6' });
+    generatedTextLength += text.length;
+
+    const newPosition = insertIndex + text.length;
+    quillEditor.setSelection(newPosition, 0);
+    scrollEditorToPosition(newPosition);
+}
+
+// Ends a streamed insertion and hands the result to Accept/Reject
+function finishStreamInsert() {
+    if (!isStreaming) return;
+
+    isStreaming = false;
+    // Stop stays available while alternatives or another request still run;
+    // endAiRequest hides it for the request that owns the stream
+    if (!isAiRequestActive()) hideStopButton();
+
+    // Trim trailing whitespace the model left at the end of the stream
+    if (generatedTextLength > 0) {
+        const generated = quillEditor.getText(generatedTextStartIndex, generatedTextLength);
+        const trailing = generated.length - generated.replace(/\s+$/, '').length;
+        if (trailing > 0) {
+            quillEditor.deleteText(generatedTextStartIndex + generatedTextLength - trailing, trailing);
+            generatedTextLength -= trailing;
+        }
+    }
+
+    if (generatedTextLength > 0) {
+        showAcceptRejectButtons();
+    } else {
+        generatedTextStartIndex = null;
+    }
+
+    hasUnsavedChanges = true;
+    updateWordCount();
+}
+
+// Keeps the streaming cursor in view
+function scrollEditorToPosition(position) {
     const quillContainer = document.querySelector('.ql-container');
-    const editorElement = document.querySelector('.ql-editor');
-    
-    let i = 0;
-    streamingInterval = setInterval(() => {
-        if (i < text.length) {
-            const char = text[i];
-            // Insert with purple color formatting
-            quillEditor.insertText(startIndex + i, char, { color: '#9b59b6' });
-            i++;
-            generatedTextLength = i;
-            
-            // Set cursor position
-            const newPosition = startIndex + i;
-            quillEditor.setSelection(newPosition, 0);
-            
-            // Force scroll to cursor position - try multiple methods
-            if (i % 5 === 0 || i === text.length) {
-                // Method 1: Scroll the container
-                if (quillContainer) {
-                    quillContainer.scrollTop = quillContainer.scrollHeight;
-                }
-                
-                // Method 2: Scroll the editor element
-                if (editorElement) {
-                    editorElement.scrollTop = editorElement.scrollHeight;
-                }
-                
-                // Method 3: Use Quill's scrollIntoView
-                try {
-                    const bounds = quillEditor.getBounds(newPosition);
-                    if (bounds && quillContainer) {
-                        const containerHeight = quillContainer.clientHeight;
-                        const scrollPos = quillContainer.scrollTop + bounds.top + bounds.height - containerHeight + 100;
-                        quillContainer.scrollTop = scrollPos;
-                    }
-                } catch (e) {
-                    // Ignore bounds errors
-                }
+    if (!quillContainer) return;
+
+    try {
+        const bounds = quillEditor.getBounds(position);
+        if (bounds) {
+            const containerHeight = quillContainer.clientHeight;
+            if (bounds.bottom > containerHeight - 40) {
+                quillContainer.scrollTop += bounds.bottom - containerHeight + 100;
             }
-        } else {
-            clearInterval(streamingInterval);
-            streamingInterval = null;
-            isStreaming = false;
-            hideStopButton();
-            
-            // Show Accept/Reject buttons
-            showAcceptRejectButtons();
-            
-            hasUnsavedChanges = true;
-            updateWordCount();
         }
-    }, 16); 
+    } catch (e) {
+        // Ignore bounds errors
+    }
 }
 
 
@@ -1796,11 +6916,8 @@ function hideStopButton() {
 }
 
 function stopGeneration() {
-    if (streamingInterval) {
-        clearInterval(streamingInterval);
-        streamingInterval = null;
-    }
-    
+    cancelAiRequest();
+    cancelAlternatives();
     isStreaming = false;
     hideStopButton();
     hideFloatingContinueButton();
@@ -1826,6 +6943,8 @@ function stopGeneration() {
 }
 
 function showAcceptRejectButtons() {
+    updateCandidateNav();
+
     const container = document.getElementById('acceptRejectContainer');
     if (container) {
         container.style.display = 'flex';
@@ -1846,6 +6965,11 @@ function hideAcceptRejectButtons() {
 
 // UPDATED: Better Accept/Reject functions with forced button update
 function acceptGeneratedText() {
+    if (pendingRewrite) {
+        acceptRewrite();
+        return;
+    }
+
     if (generatedTextStartIndex !== null && generatedTextLength > 0) {
         // Remove purple color formatting - make text black
         quillEditor.formatText(generatedTextStartIndex, generatedTextLength, { color: false });
@@ -1858,6 +6982,7 @@ function acceptGeneratedText() {
     // Reset tracking variables
     generatedTextStartIndex = null;
     generatedTextLength = 0;
+    clearGenerationCandidates();
     
     hideAcceptRejectButtons();
     showToast('Text accepted! ✨');
@@ -1873,6 +6998,11 @@ function acceptGeneratedText() {
 }
 
 function rejectGeneratedText() {
+    if (pendingRewrite) {
+        rejectRewrite();
+        return;
+    }
+
     if (generatedTextStartIndex !== null && generatedTextLength > 0) {
         // Delete the generated text
         quillEditor.deleteText(generatedTextStartIndex, generatedTextLength);
@@ -1884,6 +7014,7 @@ function rejectGeneratedText() {
     // Reset tracking variables
     generatedTextStartIndex = null;
     generatedTextLength = 0;
+    clearGenerationCandidates();
     
     hideAcceptRejectButtons();
     showToast('Text rejected');
@@ -1903,9 +7034,11 @@ function rejectGeneratedText() {
 
 
 
-async function improveText() {
-    if (!apiKey) {
-        showToast('Please add an API key in Settings');
+// Opens the rewrite dialog for the current selection. The range is captured
+// here because focus (and Quill's selection) moves into the dialog.
+function improveText() {
+    if (generatedTextStartIndex !== null || pendingRewrite) {
+        showToast('Accept or reject the pending text first');
         return;
     }
 
@@ -1922,115 +7055,138 @@ async function improveText() {
         return;
     }
 
-    showToast('Improving selected text...');
+    rewriteSelectionRange = { index: selection.index, length: selection.length };
+    updateRewriteOptions();
+    document.getElementById('rewriteModal').style.display = 'flex';
+}
 
-    try {
-        const model = document.getElementById('modelSelect').value;
-        const temperature = parseFloat(document.getElementById('temperature').value);
-
-        const systemPrompt = 'You are a professional editor. Improve the provided text by enhancing clarity, style, and readability while maintaining the original meaning and voice. Return only the improved text without any preamble or explanation.';
-
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-                'HTTP-Referer': window.location.origin,
-                'X-Title': 'Pym Write'
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: selectedText }
-                ],
-                temperature: temperature
-            })
-        });
+function closeRewriteModal() {
+    document.getElementById('rewriteModal').style.display = 'none';
+}
 
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
-        }
+// Shows only the option input the chosen mode needs
+function updateRewriteOptions() {
+    const { mode } = getRewriteOptions();
+    document.getElementById('rewriteTenseOption').style.display = mode === 'tense' ? 'block' : 'none';
+    document.getElementById('rewritePovOption').style.display = mode === 'pov' ? 'block' : 'none';
+    document.getElementById('rewriteInstructionOption').style.display = mode === 'custom' ? 'block' : 'none';
+}
 
-        const data = await response.json();
-        const improvedText = data.choices[0].message.content.trim();
+function getRewriteOptions() {
+    const checked = document.querySelector('input[name="rewriteMode"]:checked');
+    const mode = checked ? checked.value : 'improve';
+    const option = {
+        tense: document.getElementById('rewriteTense').value,
+        pov: document.getElementById('rewritePov').value,
+        custom: document.getElementById('rewriteInstruction').value.trim()
+    }[mode] || '';
 
-        lastAiResponse = improvedText;
-        showAiOutput(improvedText);
+    return { mode, option };
+}
 
-    } catch (error) {
-        console.error('AI Error:', error);
-        showToast('Text improvement failed. Check your API key.');
-    }
+// Writing Style documents of the current project, whether or not they are
+// enabled as context
+function getWritingStyleText() {
+    return documents
+        .filter(d => d.projectId === currentProjectId && d.type === 'Writing Style' && d.id !== currentDocumentId)
+        .map(getDocumentText)
+        .filter(text => text.trim())
+        .join('\n\n');
 }
 
-async function brainstorm() {
-    if (!apiKey) {
-        showToast('Please add an API key in Settings');
+async function runRewrite() {
+    if (!ensureModelReady()) return;
+
+    const rewrite = getRewriteOptions();
+    if (rewrite.mode === 'custom' && !rewrite.option) {
+        showToast('Please describe how to rewrite the text');
+        return;
+    }
+    if (rewrite.mode === 'style' && !getWritingStyleText()) {
+        showToast('Add a Writing Style document to this project first');
         return;
     }
 
-    showToast('Generating ideas...');
+    const range = rewriteSelectionRange;
+    if (!range || range.index + range.length > quillEditor.getLength()) {
+        closeRewriteModal();
+        showToast('The selection changed. Please select the text again.');
+        return;
+    }
+
+    closeRewriteModal();
+
+    const selectedText = quillEditor.getText(range.index, range.length);
+    const currentDocId = currentDocumentId;
+
+    showToast(`${REWRITE_MODES[rewrite.mode].label}: rewriting selection...`);
+
+    const signal = beginAiRequest('Improve');
 
     try {
-        const model = document.getElementById('modelSelect').value;
-        const temperature = parseFloat(document.getElementById('temperature').value);
-        const contextNotes = document.getElementById('contextNotes').value;
-        const currentText = quillEditor.getText().slice(-2000);
-
-        const enabledDocs = documents
-            .filter(d => d.projectId === currentProjectId && d.enabled && d.id !== currentDocumentId)
-            .sort((a, b) => a.order - b.order);
-        
-        let documentsContext = '';
-        if (enabledDocs.length > 0) {
-            documentsContext = '\n\nAdditional Context:\n' + enabledDocs.map(doc => {
-                const docText = new DOMParser().parseFromString(doc.content, 'text/html').body.textContent || '';
-                return `--- ${doc.type}: ${doc.title} ---\n${docText}\n`;
-            }).join('\n');
+        const { requestBody, budget } = buildAiRequest('improve', { selectedText, rewrite });
+        if (!ensureWithinBudget(budget)) return;
+        const rewritten = (await streamChatCompletion(requestBody, () => {}, signal)).trim();
+
+        if (currentDocumentId !== currentDocId || quillEditor.getText(range.index, range.length) !== selectedText) {
+            showToast('The text changed while rewriting. Rewrite discarded.');
+            return;
+        }
+        if (!rewritten) {
+            showToast('The model returned no text');
+            return;
         }
 
-        const systemPrompt = `You are a creative writing assistant. Generate 5 creative ideas for continuing or enhancing the story.
-${contextNotes ? `\n\nContext:\n${contextNotes}` : ''}
-${documentsContext}
+        showRewriteDiff(range, rewritten);
 
-Format your response as a numbered list.`;
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('AI Error:', error);
+        showToast('Text improvement failed. Check your API key.');
+    } finally {
+        endAiRequest(signal);
+    }
+}
 
-        const userPrompt = currentText 
-            ? `Based on this story excerpt:\n\n${currentText}\n\nProvide 5 creative ideas for what could happen next or how to develop the narrative.`
-            : 'Provide 5 creative story ideas or writing prompts.';
-
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-                'HTTP-Referer': window.location.origin,
-                'X-Title': 'Pym Write'
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: temperature
-            })
-        });
+async function brainstorm() {
+    if (!ensureModelReady()) return;
 
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
-        }
+    showToast('Generating ideas...');
 
-        const data = await response.json();
-        const ideas = data.choices[0].message.content.trim();
+    const signal = beginAiRequest('Brainstorm');
 
-        lastAiResponse = ideas;
-        showAiOutput(ideas);
+    try {
+        const { requestBody, budget } = buildAiRequest('brainstorm');
+        if (!ensureWithinBudget(budget)) return;
+        await streamToAiOutput(requestBody, signal);
 
     } catch (error) {
+        if (isAbortError(error)) return;
         console.error('AI Error:', error);
         showToast('Brainstorming failed. Check your API key.');
+    } finally {
+        endAiRequest(signal);
+    }
+}
+
+// Streams a response into the sidebar AI Suggestion box. If the request is
+// stopped, whatever already arrived stays there for Insert/Copy.
+async function streamToAiOutput(requestBody, signal) {
+    lastAiResponse = '';
+    showAiOutput('');
+
+    try {
+        await streamChatCompletion(requestBody, (delta) => {
+            lastAiResponse += delta;
+            showAiOutput(lastAiResponse.trimStart());
+        }, signal);
+    } finally {
+        lastAiResponse = lastAiResponse.trim();
+        if (lastAiResponse) {
+            showAiOutput(lastAiResponse);
+        } else {
+            closeAiOutput();
+        }
     }
 }
 
@@ -2077,6 +7233,8 @@ function convertMarkdownToRichText() {
         return;
     }
     
+    takeLocalBackup(`Before converting "${documents.find(d => d.id === currentDocumentId)?.title}" from Markdown`);
+
     const rawHtml = marked.parse(text, { breaks: true });
 
     const cleanHtml = DOMPurify.sanitize(rawHtml); // Clean it before pasting
@@ -2111,6 +7269,8 @@ function convertRichTextToMarkdown() {
         return;
     }
 
+    takeLocalBackup(`Before converting "${documents.find(d => d.id === currentDocumentId)?.title}" to Markdown`);
+
     // 2. Initialize the converter
     const turndownService = new TurndownService({
         headingStyle: 'atx', // Use # for headings instead of underlines
@@ -2183,6 +7343,10 @@ function formatForFiction() {
 function openSettingsModal() {
     document.getElementById('customSystemPrompt').value = settings.customSystemPrompt || DEFAULT_SYSTEM_PROMPT;
     document.getElementById('customUserPrompt').value = settings.customUserPrompt || DEFAULT_USER_PROMPT;
+    document.getElementById('autoSummarizeChapters').checked = settings.autoSummarizeChapters;
+    renderProvidersList();
+    renderUsagePanel();
+    updatePassphraseControls();
     
     document.getElementById('settingsModal').style.display = 'flex';
 }
@@ -2287,11 +7451,33 @@ function closeMenu() {
     document.getElementById('menuOverlay').classList.remove('open');
 }
 
-function showToast(message, duration = 3000) {
-    const toast = document.getElementById('toast');
-    toast.textContent = message;
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+let toastTimer = null;
+
+// action is an optional { label, onClick } shown as a button in the toast
+function showToast(message, duration = 3000, action = null) {
+    const toast = document.getElementById('toast');
+    toast.textContent = message;
+
+    if (action) {
+        const btn = document.createElement('button');
+        btn.className = 'toast-action';
+        btn.textContent = action.label;
+        btn.onclick = () => {
+            toast.classList.remove('show');
+            action.onClick();
+        };
+        toast.appendChild(btn);
+    }
+
     toast.classList.add('show');
-    setTimeout(() => toast.classList.remove('show'), duration);
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.remove('show'), duration);
 }
 
 function toggleExpand() {
@@ -2582,19 +7768,218 @@ function handleProjectDragEnd(e) {
 
 // ========== COMPLETE CHAT FUNCTIONS WITH SCROLL FIXES ==========
 
+const DEFAULT_CHAT_THREAD_TITLE = 'New chat';
+
+// Thread whose messages are in #chatMessages, so project switches only
+// re-render the chat when the thread actually changes
+let renderedChatThreadKey = null;
+// True while a chat reply is streaming
+let isChatBusy = false;
+// Thread the streaming reply will be added to
+let chatReplyThreadId = null;
+
+function createChatThreadRecord(projectId, title = DEFAULT_CHAT_THREAD_TITLE, messages = []) {
+    const now = new Date().toISOString();
+    return {
+        id: Date.now(),
+        projectId,
+        title,
+        messages,
+        pinnedDocIds: [],
+        created: now,
+        updated: now
+    };
+}
+
+// Before threads, chat was one global history; it becomes a thread in the
+// project that was open last
+function migrateChatHistory(history, projectId) {
+    if (!history || history.length === 0) return [];
+    return [createChatThreadRecord(projectId ?? null, 'Earlier chat', history)];
+}
+
+// Threads of the current project (or the project-less ones), newest first
+function getProjectChatThreads() {
+    return chatThreads
+        .filter(t => t.projectId === (currentProjectId ?? null))
+        .sort((a, b) => new Date(b.updated) - new Date(a.updated));
+}
+
+function getActiveChatThread() {
+    const threads = getProjectChatThreads();
+    const activeId = settings.activeChatThreads?.[currentProjectId ?? 'none'];
+    return threads.find(t => t.id === activeId) || threads[0] || null;
+}
+
+function setActiveChatThread(threadId) {
+    settings.activeChatThreads = { ...settings.activeChatThreads, [currentProjectId ?? 'none']: threadId };
+}
+
+function ensureActiveChatThread() {
+    let thread = getActiveChatThread();
+    if (!thread) {
+        thread = createChatThreadRecord(currentProjectId ?? null);
+        chatThreads.push(thread);
+        setActiveChatThread(thread.id);
+    }
+    return thread;
+}
+
+// Re-renders the chat when the current project's active thread differs from
+// the one on screen
+function syncChatToProject() {
+    const thread = getActiveChatThread();
+    if (`${currentProjectId}:${thread?.id}` !== renderedChatThreadKey) {
+        loadChatHistory();
+    }
+}
+
+function newChatThread() {
+    const thread = createChatThreadRecord(currentProjectId ?? null);
+    chatThreads.push(thread);
+    setActiveChatThread(thread.id);
+    autoSave();
+    loadChatHistory();
+    document.getElementById('chatInput')?.focus();
+}
+
+function switchChatThread(threadId) {
+    if (!threadId) return;
+    setActiveChatThread(parseInt(threadId));
+    autoSave();
+    loadChatHistory();
+}
+
+function renameChatThread() {
+    const thread = getActiveChatThread();
+    if (!thread) {
+        showToast('No chat thread to rename');
+        return;
+    }
+
+    const title = prompt('Thread title:', thread.title);
+    if (!title || !title.trim()) return;
+
+    thread.title = title.trim();
+    autoSave();
+    renderChatThreadControls();
+}
+
+function deleteChatThread() {
+    const thread = getActiveChatThread();
+    if (!thread) {
+        showToast('No chat thread to delete');
+        return;
+    }
+
+    if (!confirm(`Delete chat thread "${thread.title}" and all its messages?`)) return;
+
+    chatThreads = chatThreads.filter(t => t.id !== thread.id);
+    setActiveChatThread(getProjectChatThreads()[0]?.id ?? null);
+    autoSave();
+    loadChatHistory();
+    showToast('Chat thread deleted');
+}
+
+function exportChatThread() {
+    const thread = getActiveChatThread();
+    if (!thread || thread.messages.length === 0) {
+        showToast('Nothing to export yet');
+        return;
+    }
+
+    const pinned = documents.filter(d => thread.pinnedDocIds.includes(d.id)).map(d => d.title);
+    let markdown = `# ${thread.title}\n\n`;
+    if (pinned.length > 0) {
+        markdown += `Pinned documents: ${pinned.join(', ')}\n\n`;
+    }
+    thread.messages.forEach(msg => {
+        const time = msg.timestamp ? ` (${new Date(msg.timestamp).toLocaleString()})` : '';
+        markdown += `**${msg.role === 'user' ? 'You' : 'Pym'}**${time}\n\n${msg.content}\n\n---\n\n`;
+    });
+
+    const blob = new Blob([markdown], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${thread.title.replace(/[^\w\- ]+/g, '').trim() || 'Chat'}.md`;
+
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showToast('Chat exported! 📤');
+}
+
+function toggleChatPinsPanel() {
+    if (!currentProjectId) {
+        showToast('Select a project to pin its documents');
+        return;
+    }
+
+    const panel = document.getElementById('chatPinsPanel');
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    renderChatThreadControls();
+}
+
+function toggleChatPin(docId) {
+    const thread = ensureActiveChatThread();
+    thread.pinnedDocIds = thread.pinnedDocIds.includes(docId)
+        ? thread.pinnedDocIds.filter(id => id !== docId)
+        : [...thread.pinnedDocIds, docId];
+    autoSave();
+    renderChatThreadControls();
+}
+
+function renderChatThreadControls() {
+    const select = document.getElementById('chatThreadSelect');
+    if (!select) return;
+
+    const threads = getProjectChatThreads();
+    const active = getActiveChatThread();
+
+    select.innerHTML = threads.length === 0
+        ? `<option value="">${DEFAULT_CHAT_THREAD_TITLE}</option>`
+        : threads.map(t => `<option value="${t.id}" ${t.id === active?.id ? 'selected' : ''}>${escapeHtml(t.title)}</option>`).join('');
+
+    const pinned = active ? active.pinnedDocIds.filter(id => documents.some(d => d.id === id)) : [];
+    document.getElementById('chatPinsBtn').textContent = pinned.length > 0 ? `📌${pinned.length}` : '📌';
+
+    const panel = document.getElementById('chatPinsPanel');
+    const projectDocs = documents
+        .filter(d => d.projectId === currentProjectId)
+        .sort((a, b) => a.order - b.order);
+    if (!currentProjectId) {
+        panel.style.display = 'none';
+    }
+    panel.innerHTML = projectDocs.length === 0
+        ? '<p class="settings-hint">No documents in this project.</p>'
+        : '<p class="settings-hint">Pinned documents are always sent with this thread.</p>' + projectDocs.map(doc => `
+            <label class="checkbox-label chat-pin-option">
+                <input type="checkbox" ${pinned.includes(doc.id) ? 'checked' : ''} onchange="toggleChatPin(${doc.id})">
+                <span>${getTypeIcon(doc.type)} ${escapeHtml(doc.title)}</span>
+            </label>
+        `).join('');
+}
+
 function loadChatHistory() {
     const container = document.getElementById('chatMessages');
     if (!container) return;
 
+    const thread = getActiveChatThread();
+    renderedChatThreadKey = `${currentProjectId}:${thread?.id}`;
+    renderChatThreadControls();
+
     container.innerHTML = '';
     
-    if (chatHistory.length === 0) {
+    if (!thread || thread.messages.length === 0) {
         container.innerHTML = '<p style="text-align:center; color:var(--text-tertiary); padding:20px; font-size:12px;">Start a conversation with Pym...</p>';
         return;
     }
 
-    chatHistory.forEach(msg => {
-        appendChatMessage(msg.role, msg.content, false);
+    thread.messages.forEach((msg, index) => {
+        container.appendChild(renderChatMessage(msg, index, thread));
     });
 
     // CHANGE 1: Scroll to bottom after loading all messages
@@ -2603,15 +7988,31 @@ function loadChatHistory() {
     }, 100);
 }
 
-function appendChatMessage(role, content, shouldSave = true) {
-    const container = document.getElementById('chatMessages');
-    if (!container) return;
+// Stores a message in a thread and re-renders the chat if it's on screen
+function addChatMessage(thread, role, content, extra = {}) {
+    thread.messages.push({ role, content, timestamp: new Date().toISOString(), ...extra });
+    thread.updated = new Date().toISOString();
+    if (role === 'user' && thread.title === DEFAULT_CHAT_THREAD_TITLE) {
+        thread.title = content.length > 40 ? content.slice(0, 40).trim() + '…' : content;
+    }
+    autoSave();
 
-    const emptyMsg = container.querySelector('p');
-    if (emptyMsg && emptyMsg.textContent.includes('Start a conversation')) {
-        emptyMsg.remove();
+    if (thread.id === getActiveChatThread()?.id) {
+        loadChatHistory();
     }
+}
 
+// Assistant replies are Markdown; sanitize before they touch the DOM
+function renderChatMarkdown(text) {
+    return DOMPurify.sanitize(marked.parse(text, { breaks: true }));
+}
+
+function getModelDisplayName(modelKey) {
+    const model = OPENROUTER_MODELS.find(m => m.key === modelKey);
+    return model ? model.name : modelKey;
+}
+
+function createChatMessageElement(role, modelKey = null) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `chat-message ${role}`;
 
@@ -2622,52 +8023,139 @@ function appendChatMessage(role, content, shouldSave = true) {
     
     header.innerHTML = role === 'user' 
         ? '👤 You' 
-        : `${pymIcon} Pym`;
+        : `${pymIcon} Pym${modelKey ? `<span class="chat-message-model">· ${escapeHtml(getModelDisplayName(modelKey))}</span>` : ''}`;
 
     const contentDiv = document.createElement('div');
-    contentDiv.className = 'chat-message-content';
-    contentDiv.textContent = content;
+    contentDiv.className = role === 'assistant' ? 'chat-message-content markdown' : 'chat-message-content';
 
     messageDiv.appendChild(header);
     messageDiv.appendChild(contentDiv);
 
-    if (role === 'assistant') {
-        const actionsDiv = document.createElement('div');
-        actionsDiv.className = 'chat-message-actions';
+    return { messageDiv, contentDiv };
+}
+
+function renderChatMessage(msg, index, thread) {
+    const { messageDiv, contentDiv } = createChatMessageElement(msg.role, msg.model);
+
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'chat-message-actions';
+    const addAction = (label, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = 'chat-action-btn';
+        btn.textContent = label;
+        btn.onclick = onClick;
+        actionsDiv.appendChild(btn);
+    };
 
-        const insertBtn = document.createElement('button');
-        insertBtn.className = 'chat-action-btn';
-        insertBtn.textContent = '📝 Insert';
-        insertBtn.onclick = () => insertChatMessage(content);
+    if (msg.role === 'assistant') {
+        const visibleText = stripChatActions(msg.content);
+        contentDiv.innerHTML = renderChatMarkdown(linkCitations(visibleText, msg.citations));
+        renderChatCitations(messageDiv, contentDiv, msg.citations);
 
-        const copyBtn = document.createElement('button');
-        copyBtn.className = 'chat-action-btn';
-        copyBtn.textContent = '📋 Copy';
-        copyBtn.onclick = () => copyChatMessage(content);
+        if (msg.actions?.length > 0) {
+            messageDiv.appendChild(renderChatActionCards(msg, index, thread));
+        }
 
-        actionsDiv.appendChild(insertBtn);
-        actionsDiv.appendChild(copyBtn);
-        messageDiv.appendChild(actionsDiv);
+        addAction('📝 Insert', () => insertChatMessage(visibleText));
+        addAction('📋 Copy', () => copyChatMessage(visibleText));
+        if (index === thread.messages.length - 1) {
+            addAction('🔄 Retry', () => toggleChatRetryRow(messageDiv, msg.model));
+        }
+    } else {
+        contentDiv.textContent = msg.content;
+        addAction('✏️ Edit', () => startChatMessageEdit(messageDiv, contentDiv, actionsDiv, index));
     }
 
+    messageDiv.appendChild(actionsDiv);
+    return messageDiv;
+}
+
+function setChatBusy(busy) {
+    isChatBusy = busy;
+
+    const input = document.getElementById('chatInput');
+    const sendBtn = document.querySelector('.chat-send-btn');
+    if (!input || !sendBtn) return;
+
+    input.disabled = busy;
+    sendBtn.disabled = busy;
+    sendBtn.innerHTML = busy
+        ? '<span>Sending...</span><span class="send-icon">⏳</span>'
+        : '<span>Send</span><span class="send-icon">📤</span>';
+}
+
+// Streams the reply to `message` (preceded by `history`) into a thread and
+// returns it. A stopped reply keeps whatever had arrived.
+async function streamChatReply(thread, message, history, model = null) {
+    const container = document.getElementById('chatMessages');
+    const usedModel = model || getAiSettings().model;
+
+    const { messageDiv, contentDiv } = createChatMessageElement('assistant', usedModel);
+    contentDiv.innerHTML = `
+        <div class="chat-loading-dots">
+            <div class="chat-loading-dot"></div>
+            <div class="chat-loading-dot"></div>
+            <div class="chat-loading-dot"></div>
+        </div>
+    `;
     container.appendChild(messageDiv);
     
-    // CHANGE 2: Smooth scroll to bottom to show the new message
+    // CHANGE 3: Smooth scroll to show the reply as it starts
     setTimeout(() => {
         container.scrollTop = container.scrollHeight;
     }, 50);
 
-    if (shouldSave) {
-        chatHistory.push({ role, content, timestamp: new Date().toISOString() });
-        autoSave();
+    let reply = '';
+    let citations = [];
+    let renderPending = false;
+
+    setChatBusy(true);
+    chatReplyThreadId = thread.id;
+    const signal = beginAiRequest('the chat reply');
+
+    try {
+        const { requestBody, budget } = buildAiRequest('chat', { message, history, pinnedDocIds: thread.pinnedDocIds, model: usedModel });
+        if (!ensureWithinBudget(budget)) return;
+        citations = budget.passages.map(({ docId, title, start, text }) => ({ docId, title, start, text }));
+
+        // Re-render at most once per frame; Markdown has to be parsed whole
+        await streamChatCompletion(requestBody, (delta) => {
+            reply += delta;
+            if (renderPending) return;
+            renderPending = true;
+            requestAnimationFrame(() => {
+                renderPending = false;
+                const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+                const visible = stripChatActions(reply);
+                contentDiv.innerHTML = renderChatMarkdown(visible) +
+                    (visible.length < reply.trim().length ? '<p class="chat-actions-pending">✏️ Preparing proposed changes…</p>' : '');
+                if (atBottom) container.scrollTop = container.scrollHeight;
+            });
+        }, signal);
+
+    } catch (error) {
+        if (!isAbortError(error)) {
+            console.error('Chat error:', error);
+            showToast('Failed to send message. Check your API key.');
+        }
+    } finally {
+        endAiRequest(signal);
+        setChatBusy(false);
+        messageDiv.remove();
     }
+
+    reply = reply.trim();
+    if (reply) {
+        addChatMessage(thread, 'assistant', reply, { model: usedModel, actions: parseChatActions(reply), citations });
+    }
+    chatReplyThreadId = null;
+    mergeDeferredChatThread();
+    return reply;
 }
 
 async function sendChatMessage() {
     const input = document.getElementById('chatInput');
-    const sendBtn = document.querySelector('.chat-send-btn');
-    
-    if (!input || !sendBtn) return;
+    if (!input || isChatBusy) return;
 
     const message = input.value.trim();
     if (!message) {
@@ -2675,114 +8163,430 @@ async function sendChatMessage() {
         return;
     }
 
-    if (!apiKey) {
-        showToast('Please add an API key in Settings');
-        return;
-    }
-
-    input.disabled = true;
-    sendBtn.disabled = true;
-    const originalBtnText = sendBtn.innerHTML;
-    sendBtn.innerHTML = '<span>Sending...</span><span class="send-icon">⏳</span>';
+    if (!ensureModelReady()) return;
 
-    appendChatMessage('user', message);
+    // History is captured before the new message is appended so it isn't sent twice
+    const thread = ensureActiveChatThread();
+    const history = getChatContextHistory(thread);
+    addChatMessage(thread, 'user', message);
     input.value = '';
 
-    const container = document.getElementById('chatMessages');
-    const loadingDiv = document.createElement('div');
-    loadingDiv.className = 'chat-loading';
-    loadingDiv.innerHTML = `
-        <span>AI is thinking</span>
-        <div class="chat-loading-dots">
-            <div class="chat-loading-dot"></div>
-            <div class="chat-loading-dot"></div>
-            <div class="chat-loading-dot"></div>
+    await streamChatReply(thread, message, history);
+    input.focus();
+}
+
+// Swaps a user message for an editor; saving branches the thread from there
+function startChatMessageEdit(messageDiv, contentDiv, actionsDiv, index) {
+    if (isChatBusy || messageDiv.querySelector('.chat-edit-box')) return;
+
+    const original = contentDiv.textContent;
+    const editBox = document.createElement('div');
+    editBox.className = 'chat-edit-box';
+    editBox.innerHTML = `
+        <textarea rows="3"></textarea>
+        <div class="chat-message-actions">
+            <button class="chat-action-btn">🌿 Save & Regenerate</button>
+            <button class="chat-action-btn">Cancel</button>
         </div>
     `;
-    container.appendChild(loadingDiv);
-    
-    // CHANGE 3: Smooth scroll to show loading indicator
-    setTimeout(() => {
-        container.scrollTop = container.scrollHeight;
-    }, 50);
+    const textarea = editBox.querySelector('textarea');
+    textarea.value = original;
+
+    const [saveBtn, cancelBtn] = editBox.querySelectorAll('button');
+    saveBtn.onclick = () => branchFromEditedMessage(index, textarea.value.trim());
+    cancelBtn.onclick = () => loadChatHistory();
+
+    contentDiv.replaceWith(editBox);
+    actionsDiv.remove();
+    textarea.focus();
+}
+
+// Copies the thread up to the edited message into a new thread, so the
+// original conversation stays as it was, then regenerates from the edit
+async function branchFromEditedMessage(index, editedMessage) {
+    const source = getActiveChatThread();
+    if (!source || !editedMessage) return;
+    if (!ensureModelReady()) return;
+
+    const branch = createChatThreadRecord(
+        source.projectId,
+        `${source.title} (branch)`,
+        source.messages.slice(0, index).map(msg => ({ ...msg }))
+    );
+    branch.pinnedDocIds = [...source.pinnedDocIds];
+    branch.branchedFrom = { threadId: source.id, messageIndex: index };
+
+    chatThreads.push(branch);
+    setActiveChatThread(branch.id);
+
+    const history = getChatContextHistory(branch);
+    addChatMessage(branch, 'user', editedMessage);
+    showToast('Branched into a new thread 🌿');
+
+    await streamChatReply(branch, editedMessage, history);
+}
+
+// Shows a model picker under the last reply; the list mirrors modelSelect
+function toggleChatRetryRow(messageDiv, currentModel) {
+    if (isChatBusy) return;
+
+    const existing = messageDiv.querySelector('.chat-retry-row');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const row = document.createElement('div');
+    row.className = 'chat-retry-row';
+    row.innerHTML = `
+        <select title="Model for the retry">${document.getElementById('modelSelect').innerHTML}</select>
+        <button class="chat-action-btn">🔄 Retry</button>
+    `;
+    const select = row.querySelector('select');
+    select.value = document.getElementById('modelSelect').value || currentModel || '';
+    row.querySelector('button').onclick = () => retryLastChatReply(select.value);
+
+    messageDiv.appendChild(row);
+}
+
+// Replaces the thread's last reply with a new one; the old reply comes back
+// if the retry produces nothing
+async function retryLastChatReply(model) {
+    const thread = getActiveChatThread();
+    if (!thread || isChatBusy) return;
+
+    const problem = getModelProblem(model);
+    if (problem) {
+        showToast(problem, 5000);
+        return;
+    }
+
+    const userIndex = thread.messages.map(msg => msg.role).lastIndexOf('user');
+    if (userIndex === -1 || thread.messages[thread.messages.length - 1].role !== 'assistant') return;
+
+    const previousReply = thread.messages.pop();
+    loadChatHistory();
+
+    const reply = await streamChatReply(thread, thread.messages[userIndex].content, thread.messages.slice(0, userIndex), model);
+    if (!reply) {
+        thread.messages.push(previousReply);
+        autoSave();
+        if (thread.id === getActiveChatThread()?.id) loadChatHistory();
+    }
+}
+
+// The earlier messages of a thread; buildChatRequest fits them to the window
+function getChatContextHistory(thread = getActiveChatThread()) {
+    return thread ? [...thread.messages] : [];
+}
+
+// Keeps the newest messages that fit in tokenLimit
+function fitChatHistory(history, tokenLimit) {
+    const kept = [];
+    let tokens = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+        tokens += estimateTokens(history[i].content);
+        if (tokens > tokenLimit) break;
+        kept.unshift(history[i]);
+    }
+    return kept;
+}
+
+/* ========== CHAT ACTIONS ========== */
+
+// Tells the chat model how to propose document changes. Nothing it proposes
+// is written until the user applies it from the chat.
+const CHAT_ACTIONS_PROMPT = `When the user asks you to change the project's documents, propose the changes in a fenced code block tagged pym-actions that contains a JSON array of actions:
+- {"type": "append", "document": "<exact document title>", "text": "<text to add at the end>"}
+- {"type": "replace", "document": "<exact document title>", "find": "<exact text to find>", "replace": "<replacement text>", "all": true}
+- {"type": "create", "title": "<new document title>", "docType": "<${Object.keys(DOCUMENT_TYPE_PRIORITY).join(' | ')}>", "text": "<content>"}
+Briefly explain the changes outside the block. The user reviews every change before it is written. Only propose changes when the user asks for them.`;
+
+const CHAT_ACTIONS_BLOCK = /```pym-actions\s*([\s\S]*?)(?:```|$)/;
+// Messages that ask for a document to be changed
+const CHAT_ACTIONS_INTENT = /\b(add|append|insert|create|make|edit|change|update|replace|rename|fix|correct|remove|delete|put|record|note down)\b/i;
+// Unchanged runs longer than this many words are shortened in diff previews
+const DIFF_CONTEXT_WORDS = 12;
+
+let scratchQuill = null;
+
+// Hidden editor for reading and changing documents that aren't open, so
+// their formatting goes through the same Quill model as the editor's
+function getScratchQuill() {
+    if (!scratchQuill) {
+        const container = document.createElement('div');
+        container.style.display = 'none';
+        document.body.appendChild(container);
+        scratchQuill = new Quill(container);
+    }
+    return scratchQuill;
+}
+
+function loadIntoScratchQuill(doc) {
+    const quill = getScratchQuill();
+    quill.setContents(quill.clipboard.convert(doc.content || ''), 'silent');
+    return quill;
+}
+
+// Plain text of a document with its paragraph breaks
+function getDocumentPlainText(doc) {
+    return doc.id === currentDocumentId ? quillEditor.getText() : loadIntoScratchQuill(doc).getText();
+}
+
+// Runs edit(quill) on a document and saves it: in the editor when the
+// document is open (so Undo works there), otherwise on the scratch editor
+function editDocumentText(doc, edit) {
+    createSnapshot(doc, { note: 'Before a chat edit' });
+
+    if (doc.id === currentDocumentId) {
+        edit(quillEditor);
+        hasUnsavedChanges = true;
+        saveDocument(false);
+        return;
+    }
+
+    const quill = loadIntoScratchQuill(doc);
+    edit(quill);
+
+    doc.content = quill.root.innerHTML;
+    doc.wordCount = countWords(quill.getText());
+    doc.updated = new Date().toISOString();
+
+    autoSave();
+    updateProjectsList();
+    updateDocumentsList();
+    scheduleChapterSummary(doc);
+}
+
+function pickInlineFormats(format, exclude = []) {
+    const picked = {};
+    INLINE_FORMATS
+        .filter(name => format[name] !== undefined && !exclude.includes(name))
+        .forEach(name => picked[name] = format[name]);
+    return picked;
+}
+
+// Whether to send CHAT_ACTIONS_PROMPT: the message asks for a change, or it
+// answers a reply that proposed changes ("yes, but call it Ch. 2")
+function wantsChatActions(message, history) {
+    if (CHAT_ACTIONS_INTENT.test(message)) return true;
+    const lastReply = [...history].reverse().find(msg => msg.role === 'assistant');
+    return Boolean(lastReply?.actions?.length);
+}
+
+// Proposed actions in a reply, each starting out 'pending'
+function parseChatActions(content) {
+    const match = content.match(CHAT_ACTIONS_BLOCK);
+    if (!match) return [];
 
     try {
-        const model = document.getElementById('modelSelect').value;
-        const temperature = parseFloat(document.getElementById('temperature').value);
+        const parsed = JSON.parse(match[1]);
+        return (Array.isArray(parsed) ? parsed : [parsed])
+            .filter(action => action && typeof action === 'object')
+            .map(action => ({ ...action, status: 'pending' }));
+    } catch (e) {
+        console.error('Could not parse proposed changes:', e);
+        return [{ type: 'invalid', status: 'pending' }];
+    }
+}
 
-        let contextText = '';
-        
-        if (currentDocumentId) {
-            const currentDoc = documents.find(d => d.id === currentDocumentId);
-            if (currentDoc) {
-                const docText = quillEditor.getText();
-                if (docText.trim().length > 0) {
-                    contextText += `\n\nCurrent document "${currentDoc.title}":\n${docText.slice(-2000)}`;
-                }
-            }
-        }
+// The reply as the user reads it, without the actions block
+function stripChatActions(content) {
+    return content.replace(CHAT_ACTIONS_BLOCK, '').trim();
+}
 
-        if (currentProjectId) {
-            const enabledDocs = documents
-                .filter(d => d.projectId === currentProjectId && d.enabled && d.id !== currentDocumentId)
-                .sort((a, b) => a.order - b.order);
-            
-            if (enabledDocs.length > 0) {
-                contextText += '\n\nContext documents:\n';
-                enabledDocs.forEach(doc => {
-                    const docText = new DOMParser().parseFromString(doc.content, 'text/html').body.textContent || '';
-                    contextText += `\n--- ${doc.type}: ${doc.title} ---\n${docText.slice(0, 1000)}\n`;
-                });
+function findProjectDocumentByTitle(projectId, title) {
+    const wanted = String(title || '').trim().toLowerCase();
+    return documents.find(d => d.projectId === projectId && d.title.trim().toLowerCase() === wanted);
+}
+
+function countOccurrences(text, search) {
+    if (!search) return 0;
+    return text.split(search).length - 1;
+}
+
+// What an action would do: { label, doc, before, after } or { label, error }
+function planChatAction(action, projectId) {
+    switch (action.type) {
+        case 'append': {
+            const label = `➕ Add to "${action.document}"`;
+            const doc = findProjectDocumentByTitle(projectId, action.document);
+            if (!doc) return { label, error: 'No document with this title in the project.' };
+            if (!action.text) return { label, error: 'The proposal has no text to add.' };
+
+            const before = getDocumentPlainText(doc).replace(/\s+$/, '');
+            return { label, doc, before, after: before ? `${before}\n\n${action.text}` : action.text };
+        }
+        case 'replace': {
+            const label = `✏️ Edit "${action.document}"`;
+            const doc = findProjectDocumentByTitle(projectId, action.document);
+            if (!doc) return { label, error: 'No document with this title in the project.' };
+
+            const before = getDocumentPlainText(doc).replace(/\s+$/, '');
+            const count = countOccurrences(before, action.find);
+            if (count === 0) return { label, error: `"${action.find || ''}" doesn't appear in the document.` };
+
+            const after = action.all
+                ? before.split(action.find).join(action.replace ?? '')
+                : before.replace(action.find, () => action.replace ?? '');
+            return { label: `${label} (${action.all ? count : 1} change${action.all && count > 1 ? 's' : ''})`, doc, before, after };
+        }
+        case 'create': {
+            const label = `📄 Create "${action.title}"`;
+            if (!action.title) return { label: '📄 Create document', error: 'The proposal has no title.' };
+            if (findProjectDocumentByTitle(projectId, action.title)) {
+                return { label, error: 'A document with this title already exists.' };
             }
+            return { label, before: '', after: action.text || '' };
         }
+        default:
+            return { label: '⚠️ Unreadable proposal', error: 'Pym proposed changes in a format that could not be read.' };
+    }
+}
 
-        const systemPrompt = `You are Pym, a helpful AI writing assistant. You help writers with their creative projects.${contextText ? '\n\nContext about the current project:' + contextText : ''}`;
+// Plans and diff previews of pending actions, so redrawing the chat doesn't
+// re-read and re-diff whole documents. Each is reused until the document it
+// targets is saved again.
+const chatActionPreviews = new WeakMap();
 
-        const messages = [{ role: 'system', content: systemPrompt }];
-        
-        const recentHistory = chatHistory.slice(-10);
-        recentHistory.forEach(msg => {
-            messages.push({ role: msg.role, content: msg.content });
-        });
+function getChatActionPreview(action, projectId) {
+    const doc = findProjectDocumentByTitle(projectId, action.type === 'create' ? action.title : action.document);
+    const version = doc ? `${doc.id}:${doc.updated}` : 'none';
+    // The open document's text is the editor's, which may be ahead of its save
+    const live = doc && doc.id === currentDocumentId && hasUnsavedChanges;
 
-        messages.push({ role: 'user', content: message });
-
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-                'HTTP-Referer': window.location.origin,
-                'X-Title': 'Pym Write'
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: messages,
-                temperature: temperature,
-                max_tokens: 2048
-            })
-        });
+    const cached = chatActionPreviews.get(action);
+    if (cached && cached.version === version && !live) return cached;
+
+    const plan = planChatAction(action, projectId);
+    const preview = { version, plan, diffHtml: plan.error ? '' : renderDiffHtml(plan.before, plan.after) };
+    chatActionPreviews.set(action, preview);
+    return preview;
+}
+
+// Word diff as HTML, with long unchanged stretches shortened
+function renderDiffHtml(before, after) {
+    return diffWords(before, after).map(op => {
+        if (op.type === 'insert') return `<ins>${escapeHtml(op.text)}</ins>`;
+        if (op.type === 'delete') return `<del>${escapeHtml(op.text)}</del>`;
+
+        const words = tokenizeForDiff(op.text);
+        const keep = DIFF_CONTEXT_WORDS * 2;
+        if (words.length <= keep * 2) return escapeHtml(op.text);
+        return escapeHtml(words.slice(0, keep).join('')) + ' … ' + escapeHtml(words.slice(-keep).join(''));
+    }).join('');
+}
+
+function renderChatActionCards(msg, msgIndex, thread) {
+    const container = document.createElement('div');
+    container.className = 'chat-action-cards';
 
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
+    msg.actions.forEach((action, actionIndex) => {
+        const preview = action.status === 'pending' ? getChatActionPreview(action, thread.projectId) : null;
+        const plan = preview?.plan;
+        const card = document.createElement('div');
+        card.className = `chat-action-card ${action.status}`;
+
+        if (!plan) {
+            const label = action.type === 'create' ? `📄 "${action.title}"` : `"${action.document}"`;
+            card.innerHTML = `<div class="chat-action-card-header">${escapeHtml(label)} — ${action.status === 'applied' ? '✅ applied' : 'dismissed'}</div>`;
+        } else {
+            card.innerHTML = `
+                <div class="chat-action-card-header">${escapeHtml(plan.label)}</div>
+                ${plan.error
+                    ? `<p class="chat-action-error">${escapeHtml(plan.error)}</p>`
+                    : `<div class="chat-action-diff">${preview.diffHtml}</div>`}
+                <div class="chat-message-actions"></div>
+            `;
+            const buttons = card.querySelector('.chat-message-actions');
+            if (!plan.error) {
+                const applyBtn = document.createElement('button');
+                applyBtn.className = 'chat-action-btn apply';
+                applyBtn.textContent = '✅ Apply';
+                applyBtn.onclick = () => applyChatAction(thread, msgIndex, actionIndex);
+                buttons.appendChild(applyBtn);
+            }
+            const dismissBtn = document.createElement('button');
+            dismissBtn.className = 'chat-action-btn';
+            dismissBtn.textContent = 'Dismiss';
+            dismissBtn.onclick = () => setChatActionStatus(thread, msgIndex, actionIndex, 'dismissed');
+            buttons.appendChild(dismissBtn);
         }
 
-        const data = await response.json();
-        const aiResponse = data.choices[0].message.content.trim();
+        container.appendChild(card);
+    });
 
-        loadingDiv.remove();
-        appendChatMessage('assistant', aiResponse);
+    return container;
+}
 
-    } catch (error) {
-        console.error('Chat error:', error);
-        loadingDiv.remove();
-        showToast('Failed to send message. Check your API key.');
-    } finally {
-        input.disabled = false;
-        sendBtn.disabled = false;
-        sendBtn.innerHTML = originalBtnText;
-        input.focus();
+function setChatActionStatus(thread, msgIndex, actionIndex, status) {
+    thread.messages[msgIndex].actions[actionIndex].status = status;
+    autoSave();
+    loadChatHistory();
+}
+
+// Writes an approved action. The plan is recomputed so it matches the
+// documents as they are now, not as they were when Pym replied.
+function applyChatAction(thread, msgIndex, actionIndex) {
+    const action = thread.messages[msgIndex].actions[actionIndex];
+    const plan = planChatAction(action, thread.projectId);
+    if (plan.error) {
+        showToast(plan.error);
+        loadChatHistory();
+        return;
+    }
+
+    if (plan.doc && plan.doc.id === currentDocumentId && (generatedTextStartIndex !== null || pendingRewrite)) {
+        showToast('Accept or reject the pending text in the editor first');
+        return;
     }
+
+    if (action.type === 'append') {
+        editDocumentText(plan.doc, quill => {
+            const existing = quill.getText(0, quill.getLength() - 1);
+            const kept = existing.replace(/\s+$/, '').length;
+            const { index, length } = createTextRangeMapper(quill)(kept, existing.length);
+            quill.deleteText(index, length);
+            quill.insertText(quill.getLength() - 1, (existing.trim() ? '\n\n' : '') + action.text);
+        });
+    } else if (action.type === 'replace') {
+        editDocumentText(plan.doc, quill => {
+            // Text offsets, mapped past embeds by applyReplacements
+            const text = quill.getText();
+            const matches = [];
+            let index = text.indexOf(action.find);
+            while (index !== -1) {
+                matches.push({ start: index, end: index + action.find.length, replacement: action.replace ?? '' });
+                if (!action.all) break;
+                index = text.indexOf(action.find, index + action.find.length);
+            }
+            applyReplacements(quill, matches, text);
+        });
+    } else if (action.type === 'create') {
+        const projectDocs = documents.filter(d => d.projectId === thread.projectId);
+        const maxOrder = projectDocs.length > 0 ? Math.max(...projectDocs.map(d => d.order || 0)) : -1;
+        const quill = getScratchQuill();
+        quill.setText(action.text || '', 'silent');
+
+        documents.push({
+            id: Date.now(),
+            projectId: thread.projectId,
+            title: action.title.trim(),
+            type: DOCUMENT_TYPE_PRIORITY[action.docType] !== undefined ? action.docType : 'Notes',
+            content: quill.root.innerHTML,
+            wordCount: countWords(action.text || ''),
+            enabled: true,
+            order: maxOrder + 1,
+            created: new Date().toISOString(),
+            updated: new Date().toISOString()
+        });
+        autoSave();
+        updateProjectsList();
+        updateDocumentsList();
+    }
+
+    setChatActionStatus(thread, msgIndex, actionIndex, 'applied');
+    showToast('Change applied! ✅');
 }
 
 function insertChatMessage(content) {
@@ -2806,13 +8610,4 @@ function copyChatMessage(content) {
     }).catch(() => {
         showToast('Failed to copy');
     });
-}
-
-function clearChatHistory() {
-    if (!confirm('Clear all chat history?')) return;
-
-    chatHistory = [];
-    autoSave();
-    loadChatHistory();
-    showToast('Chat history cleared');
 }
\ No newline at end of file